@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for submitting and managing Curious Containers experiments.
+ * Run "node cli.js help" for the available commands and options.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CC = require('./cc-api.js');
+
+/**
+ * Exit codes of the command-line tool.
+ */
+const EXIT_CODES = {
+    "succeeded": 0,
+    "error": 1,
+    "usage": 2,
+    "failed": 3,
+    "cancelled": 4,
+};
+
+/**
+ * The number of failed status requests in a row after which waiting is given up.
+ */
+const MAX_POLL_ERRORS = 5;
+
+/**
+ * Options that do not take a value.
+ */
+const BOOLEAN_OPTIONS = ["json", "wait", "stdout", "stderr", "help", "verifyFiles"];
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  submit <red.json|red.yml>   Submit a RED file and print the experimentId (--wait to wait for completion)
+  status <experimentId>       Print the status of an experiment
+  wait <experimentId>         Wait until an experiment is finished
+  logs <experimentId>         Print the logs of an experiment (--stdout, --stderr, --batch <index>)
+  cancel <experimentId>       Cancel an experiment
+  list                        List batches (--state <s1,s2>, --since <date>, --until <date>, --owner <name>,
+                              --experiment-id <id>, --skip <n>, --limit <n>)
+  default-run                 Run a script on a dataset from a shared directory (see createDefaultIO)
+      --shared-dir <dir> --script <file> --dataset <file> [--output <dir>] [--host <host>]
+      --image <image> --base-command <command> [--ram <mb>] [--timeout <minutes>] [--port-range <first>-<last>]
+      [--ssh-key <ed25519|rsa>]   Access the SSH server with an ephemeral key instead of a password
+      [--container-runtime <docker|docker-cli|podman|module>]
+                                  Runtime of the SSH server container (env CC_CONTAINER_RUNTIME, default docker)
+      [--verify-files]            Check that script and dataset are readable in the SSH server before submitting
+
+Options:
+  --agency-url <url>          URL of the cc-agency (env CC_AGENCY_URL)
+  --username <name>           Username for the cc-agency (env CC_AGENCY_USERNAME)
+  --password <password>       Password for the cc-agency (env CC_AGENCY_PASSWORD)
+  --config <file>             JSON config file with agencyUrl, username and password
+                              (env CC_API_CONFIG, default ~/.cc-api.json)
+  --poll-interval <seconds>   Time between two status requests while waiting (default 10)
+  --json                      Print the results as JSON
+
+Exit codes: 0 succeeded, 1 error, 2 usage error, 3 experiment failed, 4 experiment cancelled`;
+
+/**
+ * Represents a wrong usage of the command-line tool.
+ * @class
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args - The arguments without node and script path.
+ * @returns {object} The positional arguments and the options.
+ * @throws {UsageError} If an option is missing its value.
+ */
+function parseArguments(args) {
+    let positional = [];
+    let options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        name = name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+        if (BOOLEAN_OPTIONS.includes(name)) {
+            options[name] = value === undefined ? true : value !== 'false';
+            continue;
+        }
+        if (value === undefined) {
+            if (i + 1 >= args.length) {
+                throw new UsageError('Missing value for option ' + arg + '.');
+            }
+            value = args[++i];
+        }
+        options[name] = value;
+    }
+    return { "positional": positional, "options": options };
+}
+
+/**
+ * Resolves the cc-agency URL and credentials from the options, the environment and the config file,
+ * in this order of precedence.
+ * @param {object} options - The parsed options.
+ * @returns {object} The agencyUrl, username and password. Missing values are undefined.
+ */
+function resolveAgencyConfig(options) {
+    const configPath = options.config || process.env.CC_API_CONFIG || path.join(os.homedir(), '.cc-api.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (err) {
+            throw new Error('Failed to read config file ' + configPath + ': ' + err.message);
+        }
+    } else if (options.config) {
+        throw new UsageError('Config file ' + options.config + ' does not exist.');
+    }
+
+    return {
+        "agencyUrl": options.agencyUrl || process.env.CC_AGENCY_URL || config.agencyUrl,
+        "username": options.username || process.env.CC_AGENCY_USERNAME || config.username,
+        "password": options.password || process.env.CC_AGENCY_PASSWORD || config.password,
+    };
+}
+
+/**
+ * Ensures that the cc-agency URL and credentials are known.
+ * @param {object} agency - The resolved agency config.
+ * @throws {UsageError} If a value is missing.
+ */
+function requireAgencyConfig(agency) {
+    if (!agency.agencyUrl || !agency.username || !agency.password) {
+        throw new UsageError('Missing cc-agency access. Use --agency-url, --username and --password, '
+            + 'the CC_AGENCY_* environment variables or a config file.');
+    }
+}
+
+/**
+ * Returns the experiment for an experimentId given as first positional argument.
+ * @param {string[]} positional - The positional arguments of the command.
+ * @param {object} agency - The resolved agency config.
+ * @returns {CCExperiment} The existing experiment.
+ */
+function getExistingExperiment(positional, agency) {
+    if (!positional[0]) {
+        throw new UsageError('Missing experimentId.');
+    }
+    requireAgencyConfig(agency);
+    return CC.CCExperiment.getExistingExperiment(agency.agencyUrl, agency.username, agency.password, positional[0]);
+}
+
+/**
+ * Prints a result either as JSON or as text.
+ * @param {object} options - The parsed options.
+ * @param {object} json - The result as JSON object.
+ * @param {string} text - The result as text.
+ */
+function print(options, json, text) {
+    console.log(options.json ? JSON.stringify(json, null, 4) : text);
+}
+
+/**
+ * Returns the wait options from the command-line options.
+ * @param {object} options - The parsed options.
+ * @returns {object} The options for waitForCompletion().
+ */
+function getWaitOptions(options) {
+    const seconds = options.pollInterval !== undefined ? Number(options.pollInterval) : 10;
+    if (!(seconds > 0)) {
+        throw new UsageError('--poll-interval must be a positive number of seconds.');
+    }
+    return { "pollInterval": seconds * 1000 };
+}
+
+/**
+ * Parses a date option.
+ * @param {object} options - The parsed options.
+ * @param {string} name - The name of the option.
+ * @returns {Date|undefined} The date or undefined if the option is not set.
+ * @throws {UsageError} If the option is not a valid date.
+ */
+function parseDateOption(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    const date = new Date(options[name]);
+    if (isNaN(date.getTime())) {
+        throw new UsageError('--' + name + ' must be a date, e.g. 2023-07-01T18:00.');
+    }
+    return date;
+}
+
+/**
+ * Waits for an experiment, prints the result and returns the exit code for its final status.
+ * Waiting is given up on wrong credentials, an unknown experiment or after MAX_POLL_ERRORS failed status requests in a row.
+ * @param {CCExperiment} experiment - The experiment to wait for.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<number>} A promise that resolves with the exit code.
+ *                            Rejects with the error of the status request if waiting is given up.
+ */
+async function waitAndReport(experiment, options) {
+    const waitOptions = getWaitOptions(options);
+    await experiment.getBatchIds();
+    const watcher = experiment.watch(waitOptions);
+    if (!options.json) {
+        watcher.on('statusChanged', status => console.error('status: ' + status));
+    }
+    const status = await new Promise((resolve, reject) => {
+        watcher.once('done', resolve);
+        watcher.on('error', err => {
+            if (err instanceof CC.CCAuthError || err instanceof CC.CCNotFoundError
+                || watcher.consecutiveErrors >= MAX_POLL_ERRORS) {
+                watcher.stop();
+                reject(err);
+            } else if (!options.json) {
+                console.error('Status request failed, retrying: ' + err.message);
+            }
+        });
+    });
+    const result = {
+        "experimentId": experiment.experimentId,
+        "status": status,
+        "debugInfo": experiment.debugInfo,
+        "batches": experiment.batchStatuses,
+    };
+    print(options, result, status + (experiment.debugInfo ? '\n' + JSON.stringify(experiment.debugInfo, null, 4) : ''));
+    return EXIT_CODES[status];
+}
+
+/**
+ * The commands of the command-line tool. Each resolves with the exit code.
+ */
+const COMMANDS = {
+
+    async submit(positional, options, agency) {
+        if (!positional[0]) {
+            throw new UsageError('Missing RED file.');
+        }
+        let experiment = await CC.CCExperiment.loadRED(positional[0]);
+        experiment.ccAgencyUrl = agency.agencyUrl || experiment.ccAgencyUrl;
+        experiment.ccAgencyUsername = agency.username || experiment.ccAgencyUsername;
+        experiment.ccAgencyPassword = agency.password || experiment.ccAgencyPassword;
+        requireAgencyConfig({
+            "agencyUrl": experiment.ccAgencyUrl,
+            "username": experiment.ccAgencyUsername,
+            "password": experiment.ccAgencyPassword,
+        });
+
+        const experimentId = await experiment.startExperiment();
+        if (!options.wait) {
+            print(options, { "experimentId": experimentId }, experimentId);
+            return EXIT_CODES.succeeded;
+        }
+        if (!options.json) {
+            console.error('experimentId: ' + experimentId);
+        }
+        return waitAndReport(experiment, options);
+    },
+
+    async status(positional, options, agency) {
+        const experiment = getExistingExperiment(positional, agency);
+        const summary = await experiment.getSummary();
+        summary["experimentId"] = experiment.experimentId;
+        const lines = [summary.state].concat(summary.total > 1
+            ? summary.batches.map(batch => '  batch ' + batch.index + ' (' + batch.batchId + '): ' + batch.state)
+            : []);
+        print(options, summary, lines.join('\n'));
+        return EXIT_CODES.succeeded;
+    },
+
+    async wait(positional, options, agency) {
+        return waitAndReport(getExistingExperiment(positional, agency), options);
+    },
+
+    async logs(positional, options, agency) {
+        const experiment = getExistingExperiment(positional, agency);
+        if (options.batch !== undefined && !/^\d+$/.test(options.batch)) {
+            throw new UsageError('--batch must be a non-negative integer.');
+        }
+        await experiment.getBatchIds();
+        const batchIndex = options.batch !== undefined ? parseInt(options.batch) : 0;
+        const streams = options.stdout || options.stderr
+            ? ['stdout', 'stderr'].filter(stream => options[stream])
+            : ['stdout'];
+
+        let logs = {};
+        for (const stream of streams) {
+            logs[stream] = await experiment.getStd(stream, batchIndex);
+        }
+        print(options, logs, streams.map(stream => logs[stream]).join(''));
+        return EXIT_CODES.succeeded;
+    },
+
+    async cancel(positional, options, agency) {
+        const experiment = getExistingExperiment(positional, agency);
+        const cancelled = await experiment.cancelExperiment();
+        print(options, { "experimentId": experiment.experimentId, "cancelled": cancelled },
+            cancelled ? 'cancelled' : 'not cancelled');
+        return cancelled ? EXIT_CODES.succeeded : EXIT_CODES.error;
+    },
+
+    async list(positional, options, agency) {
+        requireAgencyConfig(agency);
+        const client = new CC.CCAgencyClient(agency.agencyUrl, agency.username, agency.password);
+        const batches = await client.listBatches({
+            "state": options.state ? options.state.split(',') : undefined,
+            "experimentId": options.experimentId,
+            "username": options.owner,
+            "since": parseDateOption(options, 'since'),
+            "until": parseDateOption(options, 'until'),
+            "skip": options.skip,
+            "limit": options.limit,
+        });
+        const json = batches.map(batch => {
+            return {
+                "batchId": batch.batchId,
+                "experimentId": batch.experimentId,
+                "state": batch.state,
+                "node": batch.node,
+                "image": batch.image,
+                "registrationTime": batch.registrationTime,
+                "debugInfo": batch.debugInfo,
+            };
+        });
+        const lines = json.map(batch => [batch.batchId, batch.experimentId, batch.state, batch.node || '-',
+            batch.image || '-', batch.registrationTime ? batch.registrationTime.toISOString() : '-'].join('\t'));
+        print(options, json, lines.join('\n'));
+        return EXIT_CODES.succeeded;
+    },
+
+    async "default-run"(positional, options, agency) {
+        for (const name of ['sharedDir', 'script', 'dataset', 'image', 'baseCommand']) {
+            if (!options[name]) {
+                throw new UsageError('Missing option --' + name.replace(/[A-Z]/g, char => '-' + char.toLowerCase()) + '.');
+            }
+        }
+        requireAgencyConfig(agency);
+
+        const portRange = /^(\d+)-(\d+)$/.exec(options.portRange || '10410-10439');
+        if (!portRange) {
+            throw new UsageError('--port-range must be in the form <first>-<last>.');
+        }
+        // Leases in the shared lease directory keep other processes on this host from using the same port.
+        CC.SSHServer.setPortAllocator(new CC.PortAllocator(parseInt(portRange[1]), parseInt(portRange[2])));
+
+        let experiment = new CC.DefaultExperiment(agency.agencyUrl, agency.username, agency.password,
+            options.baseCommand, options.image, parseInt(options.ram || '256'), parseInt(options.timeout || '0'));
+        let stopping;
+        const stopSSHServer = () => {
+            if (!stopping) {
+                stopping = experiment.sshServer ? experiment.stopSSHServer() : Promise.resolve();
+            }
+            return stopping;
+        };
+        // Interrupting the tool must not leave the SSH server container and its port lease behind.
+        const onSignal = signal => {
+            console.error('Received ' + signal + ', stopping the SSH server.');
+            stopSSHServer()
+                .catch(err => console.error('Error: ' + err.message))
+                .then(() => process.exit(128 + os.constants.signals[signal]));
+        };
+        process.once('SIGINT', onSignal);
+        process.once('SIGTERM', onSignal);
+        try {
+            await experiment.createDefaultIO(
+                path.resolve(options.sharedDir),
+                options.script,
+                options.dataset,
+                options.output || '.',
+                options.host || '127.0.0.1',
+                { "keyType": options.sshKey, "runtime": options.containerRuntime, "verifyFiles": options.verifyFiles },
+            );
+
+            const experimentId = await experiment.startExperiment();
+            if (!options.json) {
+                console.error('experimentId: ' + experimentId);
+            }
+            // The SSH server has to stay alive until the experiment is finished, so default-run always waits.
+            return await waitAndReport(experiment, options);
+        } finally {
+            process.removeListener('SIGINT', onSignal);
+            process.removeListener('SIGTERM', onSignal);
+            await stopSSHServer();
+        }
+    },
+
+};
+
+/**
+ * Runs the command-line tool.
+ * @param {string[]} args - The arguments without node and script path.
+ * @returns {Promise<number>} A promise that resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional, options } = parseArguments(args);
+        const command = positional.shift();
+        if (!command || command == 'help' || options.help) {
+            console.log(USAGE);
+            return command || options.help ? EXIT_CODES.succeeded : EXIT_CODES.usage;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError('Unknown command "' + command + '".');
+        }
+        return await COMMANDS[command](positional, options, resolveAgencyConfig(options));
+    } catch (err) {
+        console.error('Error: ' + err.message);
+        if (err instanceof UsageError) {
+            console.error('Run "node cli.js help" for usage information.');
+            return EXIT_CODES.usage;
+        }
+        if (err instanceof CC.CCValidationError) {
+            err.errors.forEach(error => console.error('  ' + error.path + ': ' + error.message));
+        }
+        return EXIT_CODES.error;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    main: main,
+    parseArguments: parseArguments,
+    EXIT_CODES: EXIT_CODES
+}
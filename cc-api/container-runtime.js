@@ -0,0 +1,699 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { execFile } = require("child_process");
+const { CCContainerError } = require("./errors.js");
+
+/**
+ * The default path of the Docker Engine API socket.
+ */
+const DOCKER_SOCKET = "/var/run/docker.sock";
+
+/**
+ * Manages containers for the SSH servers. Subclasses implement the lifecycle methods for a container engine.
+ *
+ * A container spec is a Json object with:
+ * name, image, env ({ NAME: value }), ports ([{ hostPort, containerPort }]),
+ * volumes ([{ source, target }]) and labels ({ name: value }), optionally command ([arguments]),
+ * workingDir, user ("uid:gid") and memory (in MB).
+ * Container states are Json objects with containerId, containerName, image, state, running, exitCode and createdAt.
+ * Failed operations are rejected with a CCContainerError.
+ * @class
+ */
+class ContainerRuntime {
+
+    /**
+     * Creates a new instance of ContainerRuntime.
+     * @constructor
+     * @param {object} [options] - The runtime options.
+     * @param {string} [options.userns] - The user namespace mode of the containers, e.g. "keep-id" for rootless Podman.
+     * @param {string} [options.volumeLabel] - The SELinux label option of the volumes, "z" (shared) or "Z" (private).
+     * @param {object} [options.volumeOwner] - The uid and gid of the container user, so that files in volumes
+     *                                         belong to the host user, see getVolumeOwner().
+     */
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Creates the runtime selected by the environment variable CC_CONTAINER_RUNTIME, by default docker.
+     * @returns {ContainerRuntime} The container runtime.
+     */
+    static createDefault() {
+        return ContainerRuntime.create(process.env.CC_CONTAINER_RUNTIME);
+    }
+
+    /**
+     * Creates a runtime by its name: "docker" (Engine API if available, otherwise CLI), "docker-engine", "docker-cli"
+     * or "podman". Any other name is the path of a custom adapter module exporting a subclass of ContainerRuntime.
+     * @param {string} [name="docker"] - The name of the runtime.
+     * @param {object} [options] - The runtime options, see constructor.
+     * @returns {ContainerRuntime} The container runtime.
+     * @throws {Error} If the custom adapter cannot be loaded.
+     */
+    static create(name = "docker", options = {}) {
+        switch (name || "docker") {
+            case "docker":
+                return ContainerRuntime.createDocker(options);
+            case "docker-engine":
+                return new DockerEngineRuntime(DOCKER_SOCKET, options);
+            case "docker-cli":
+                return new DockerCLIRuntime("docker", options);
+            case "podman":
+                return new PodmanRuntime("podman", options);
+        }
+
+        let Adapter;
+        try {
+            Adapter = require(path.resolve(name));
+        } catch (err) {
+            throw new Error('Unknown container runtime ' + name + '! Use "docker", "docker-engine", "docker-cli", "podman"'
+                + ' or the path of an adapter module: ' + err.message);
+        }
+        Adapter = Adapter.default || Adapter;
+        return new Adapter(options);
+    }
+
+    /**
+     * Creates the docker runtime for this host: the Docker Engine API if its socket exists,
+     * otherwise the docker CLI (e.g. for a remote DOCKER_HOST).
+     * @param {object} [options] - The runtime options, see constructor.
+     * @returns {ContainerRuntime} The container runtime.
+     */
+    static createDocker(options = {}) {
+        const dockerHost = process.env.DOCKER_HOST;
+        if (dockerHost) {
+            return dockerHost.startsWith("unix://")
+                ? new DockerEngineRuntime(dockerHost.substring("unix://".length), options)
+                : new DockerCLIRuntime("docker", options);
+        }
+        return fs.existsSync(DOCKER_SOCKET) ? new DockerEngineRuntime(DOCKER_SOCKET, options) : new DockerCLIRuntime("docker", options);
+    }
+
+    /**
+     * Returns the uid and gid the container user should have, so that files it writes to volumes belong to the host user.
+     * Defaults to 1000, the first user of most hosts.
+     * @returns {object} The uid and gid.
+     */
+    getVolumeOwner() {
+        return this.options.volumeOwner || { "uid": 1000, "gid": 1000 };
+    }
+
+    /**
+     * Returns the bind mount of a volume of a container spec, including the SELinux label option.
+     * @param {object} volume - The volume with source and target.
+     * @returns {string} The bind mount in the form source:target[:label].
+     */
+    getBind(volume) {
+        return volume.source + ":" + volume.target + (this.options.volumeLabel ? ":" + this.options.volumeLabel : "");
+    }
+
+    /**
+     * Creates a container without starting it. Missing images are pulled.
+     * @param {object} spec - The container spec.
+     * @returns {Promise<string>} A promise that resolves with the containerId.
+     */
+    async createContainer(spec) {
+        throw new Error('createContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Starts a created container.
+     * @param {string} containerId - The ID or name of the container.
+     * @returns {Promise} A promise that resolves when the container is started.
+     */
+    async startContainer(containerId) {
+        throw new Error('startContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Returns the state of a container.
+     * @param {string} containerId - The ID or name of the container.
+     * @returns {Promise<object>} A promise that resolves with the container state.
+     */
+    async inspectContainer(containerId) {
+        throw new Error('inspectContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Stops a container. Stopping a stopped container succeeds.
+     * @param {string} containerId - The ID or name of the container.
+     * @param {object} [options] - The stop options.
+     * @param {number} [options.timeout=10] - The time in seconds before the container is killed.
+     * @returns {Promise} A promise that resolves when the container is stopped.
+     */
+    async stopContainer(containerId, options = {}) {
+        throw new Error('stopContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Removes a container.
+     * @param {string} containerId - The ID or name of the container.
+     * @param {object} [options] - The remove options.
+     * @param {boolean} [options.force=false] - Whether a running container is killed and removed.
+     * @returns {Promise} A promise that resolves when the container is removed.
+     */
+    async removeContainer(containerId, options = {}) {
+        throw new Error('removeContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Lists all containers, including stopped ones.
+     * @param {object} [filter] - The filter.
+     * @param {string} [filter.namePrefix] - Only list containers whose name starts with this prefix.
+     * @returns {Promise<object[]>} A promise that resolves with the container states.
+     */
+    async listContainers(filter = {}) {
+        throw new Error('listContainers() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Waits until a container exits.
+     * @param {string} containerId - The ID or name of the container.
+     * @returns {Promise<number>} A promise that resolves with the exit code of the container.
+     */
+    async waitContainer(containerId) {
+        throw new Error('waitContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Returns the output of a container.
+     * @param {string} containerId - The ID or name of the container.
+     * @returns {Promise<object>} A promise that resolves with the stdout and stderr of the container.
+     */
+    async getContainerLogs(containerId) {
+        throw new Error('getContainerLogs() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Runs a command inside a running container and waits until it exits.
+     * @param {string} containerId - The ID or name of the container.
+     * @param {string[]} command - The command and its arguments. It is not run by a shell.
+     * @param {object} [options] - The exec options.
+     * @param {string} [options.user] - The user running the command.
+     * @returns {Promise<object>} A promise that resolves with the exitCode and the output (stdout and stderr) of the command.
+     */
+    async execInContainer(containerId, command, options = {}) {
+        throw new Error('execInContainer() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Returns the ID, tags and registry digests of a local image.
+     * @param {string} image - The image, optionally with tag or digest.
+     * @returns {Promise<object>} A promise that resolves with the imageId, repoTags and repoDigests.
+     *                            Rejects with a CCContainerError with status 404 if the image does not exist locally.
+     */
+    async inspectImage(image) {
+        throw new Error('inspectImage() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Converts the Json of an image inspection (Engine API or CLI) into an image state.
+     * @param {object} image - The inspected image.
+     * @returns {object} The image state.
+     */
+    static toImageState(image) {
+        return {
+            "imageId": image.Id,
+            "repoTags": image.RepoTags || [],
+            "repoDigests": image.RepoDigests || [],
+        };
+    }
+
+    /**
+     * Converts the Json of a container inspection (Engine API or CLI) into a container state.
+     * @param {object} container - The inspected container.
+     * @returns {object} The container state.
+     */
+    static toContainerState(container) {
+        const state = container.State || {};
+        return {
+            "containerId": container.Id,
+            "containerName": (container.Name || "").replace(/^\//, ""),
+            "image": (container.Config || {}).Image,
+            "state": state.Status,
+            "running": !!state.Running,
+            "exitCode": state.ExitCode,
+            "createdAt": new Date(container.Created),
+        };
+    }
+
+}
+
+/**
+ * Manages containers through the Docker Engine HTTP API on a unix socket.
+ * @class
+ */
+class DockerEngineRuntime extends ContainerRuntime {
+
+    /**
+     * Creates a new instance of DockerEngineRuntime.
+     * @constructor
+     * @param {string} [socketPath="/var/run/docker.sock"] - The path of the Docker Engine API socket.
+     * @param {object} [options] - The runtime options, see ContainerRuntime.
+     */
+    constructor(socketPath = DOCKER_SOCKET, options = {}) {
+        super(options);
+        this.socketPath = socketPath;
+    }
+
+    async createContainer(spec) {
+        const path = "/containers/create?name=" + encodeURIComponent(spec.name);
+        const body = this.getCreateBody(spec);
+        try {
+            return (await this.request("POST", path, body)).Id;
+        } catch (err) {
+            if (err.statusCode != 404) {
+                throw err;
+            }
+        }
+        await this.pullImage(spec.image);
+        return (await this.request("POST", path, body)).Id;
+    }
+
+    async startContainer(containerId) {
+        await this.request("POST", "/containers/" + encodeURIComponent(containerId) + "/start");
+    }
+
+    async inspectContainer(containerId) {
+        return ContainerRuntime.toContainerState(
+            await this.request("GET", "/containers/" + encodeURIComponent(containerId) + "/json"));
+    }
+
+    async stopContainer(containerId, options = {}) {
+        const timeout = options.timeout === undefined ? 10 : options.timeout;
+        await this.request("POST", "/containers/" + encodeURIComponent(containerId) + "/stop?t=" + timeout);
+    }
+
+    async removeContainer(containerId, options = {}) {
+        await this.request("DELETE", "/containers/" + encodeURIComponent(containerId) + (options.force ? "?force=true" : ""));
+    }
+
+    async listContainers(filter = {}) {
+        let path = "/containers/json?all=true";
+        if (filter.namePrefix) {
+            path += "&filters=" + encodeURIComponent(JSON.stringify({ "name": ["^/?" + filter.namePrefix] }));
+        }
+        const containers = await this.request("GET", path);
+        let states = [];
+        for (const container of containers) {
+            try {
+                states.push(await this.inspectContainer(container.Id));
+            } catch (err) {
+                // The container was removed in the meantime.
+            }
+        }
+        return states.filter(state => !filter.namePrefix || state.containerName.startsWith(filter.namePrefix));
+    }
+
+    async inspectImage(image) {
+        return ContainerRuntime.toImageState(await this.request("GET", "/images/" + encodeURIComponent(image) + "/json"));
+    }
+
+    async waitContainer(containerId) {
+        return (await this.request("POST", "/containers/" + encodeURIComponent(containerId) + "/wait")).StatusCode;
+    }
+
+    async getContainerLogs(containerId) {
+        const output = await this.request("GET", "/containers/" + encodeURIComponent(containerId) + "/logs?stdout=true&stderr=true",
+            undefined, "buffer");
+        return {
+            "stdout": output ? DockerEngineRuntime.demultiplex(output, 1) : "",
+            "stderr": output ? DockerEngineRuntime.demultiplex(output, 2) : "",
+        };
+    }
+
+    async execInContainer(containerId, command, options = {}) {
+        const exec = await this.request("POST", "/containers/" + encodeURIComponent(containerId) + "/exec", {
+            "Cmd": command,
+            "User": options.user || "",
+            "AttachStdout": true,
+            "AttachStderr": true,
+        });
+        const output = await this.request("POST", "/exec/" + exec.Id + "/start", { "Detach": false, "Tty": false }, "buffer");
+        const info = await this.request("GET", "/exec/" + exec.Id + "/json");
+        return {
+            "exitCode": info.ExitCode,
+            "output": output ? DockerEngineRuntime.demultiplex(output) : "",
+        };
+    }
+
+    /**
+     * Extracts the output of an attached stream. Without tty, every chunk is prefixed with an 8 byte header
+     * containing the stream type and the length of the chunk.
+     * @param {Buffer} buffer - The multiplexed stream.
+     * @param {number} [streamType] - Only extract the chunks of this stream, 1 for stdout and 2 for stderr.
+     * @returns {string} The output of stdout and stderr.
+     */
+    static demultiplex(buffer, streamType) {
+        let chunks = [];
+        let offset = 0;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset + 4);
+            if (streamType === undefined || buffer[offset] == streamType) {
+                chunks.push(buffer.subarray(offset + 8, offset + 8 + length));
+            }
+            offset += 8 + length;
+        }
+        return Buffer.concat(chunks).toString("utf8");
+    }
+
+    /**
+     * Splits an image reference into repository and tag. Without tag or digest, the Engine API pulls every tag
+     * of the repository, so the tag defaults to "latest" like for docker pull.
+     * @param {string} image - The image, optionally with tag or digest.
+     * @returns {object} The repository and the tag, the digest takes the place of the tag.
+     */
+    static parseImageReference(image) {
+        const [name, digest] = image.split("@");
+        const tagIndex = name.lastIndexOf(":");
+        const hasTag = tagIndex > name.lastIndexOf("/");
+        return {
+            "repository": hasTag ? name.substring(0, tagIndex) : name,
+            "tag": digest || (hasTag ? name.substring(tagIndex + 1) : "latest"),
+        };
+    }
+
+    /**
+     * Pulls an image from its registry.
+     * @param {string} image - The image, optionally with tag or digest.
+     * @returns {Promise} A promise that resolves when the image is pulled.
+     */
+    async pullImage(image) {
+        const reference = DockerEngineRuntime.parseImageReference(image);
+        const progress = await this.request("POST", "/images/create?fromImage=" + encodeURIComponent(reference.repository)
+            + "&tag=" + encodeURIComponent(reference.tag), undefined, "text");
+        for (const line of progress.split("\n").filter(line => line.trim())) {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (err) {
+                continue;
+            }
+            if (message.error) {
+                throw new CCContainerError("Failed to pull image " + image + ": " + message.error, undefined, { "image": image });
+            }
+        }
+    }
+
+    /**
+     * Returns the body for creating a container from a container spec.
+     * @param {object} spec - The container spec.
+     * @returns {object} The body of the create request.
+     */
+    getCreateBody(spec) {
+        let exposedPorts = {};
+        let portBindings = {};
+        for (const port of spec.ports || []) {
+            exposedPorts[port.containerPort + "/tcp"] = {};
+            portBindings[port.containerPort + "/tcp"] = [{ "HostPort": String(port.hostPort) }];
+        }
+        let hostConfig = {
+            "PortBindings": portBindings,
+            "Binds": (spec.volumes || []).map(volume => this.getBind(volume)),
+        };
+        if (this.options.userns) {
+            hostConfig["UsernsMode"] = this.options.userns;
+        }
+        if (spec.memory) {
+            hostConfig["Memory"] = spec.memory * 1024 * 1024;
+        }
+        let body = {
+            "Image": spec.image,
+            "Env": Object.entries(spec.env || {}).map(([name, value]) => name + "=" + value),
+            "Labels": spec.labels || {},
+            "ExposedPorts": exposedPorts,
+            "HostConfig": hostConfig,
+        };
+        if (spec.command) {
+            body["Cmd"] = spec.command;
+        }
+        if (spec.workingDir) {
+            body["WorkingDir"] = spec.workingDir;
+        }
+        if (spec.user) {
+            body["User"] = spec.user;
+        }
+        return body;
+    }
+
+    /**
+     * Sends a request to the Docker Engine API.
+     * @param {string} method - The HTTP method for the request.
+     * @param {string} path - The API path.
+     * @param {object} [body] - The body of the request, sent as JSON.
+     * @param {string} [responseType="json"] - "json" to parse the response, "text" to return it as string,
+     *                                         "buffer" to return it as Buffer.
+     * @returns {Promise<*>} A promise that resolves with the response. Responses with status 304
+     *                       (container already started or stopped) resolve with undefined.
+     */
+    request(method, path, body, responseType = "json") {
+        const data = body !== undefined ? JSON.stringify(body) : undefined;
+        let headers = {};
+        if (data !== undefined) {
+            headers["Content-Type"] = "application/json";
+            headers["Content-Length"] = Buffer.byteLength(data);
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({ "socketPath": this.socketPath, "path": path, "method": method, "headers": headers }, resp => {
+                let chunks = [];
+                resp.on("data", chunk => {
+                    chunks.push(chunk);
+                });
+                resp.on("end", () => {
+                    const buffer = Buffer.concat(chunks).toString("utf8");
+                    if (resp.statusCode >= 400) {
+                        let message = buffer;
+                        try {
+                            message = JSON.parse(buffer).message || buffer;
+                        } catch (err) { }
+                        reject(new CCContainerError(method + " " + path + " failed with status " + resp.statusCode + ": " + message.trim(),
+                            resp.statusCode, { "body": buffer }));
+                        return;
+                    }
+                    if (resp.statusCode == 304 || buffer == "") {
+                        resolve(undefined);
+                        return;
+                    }
+                    if (responseType == "text") {
+                        resolve(buffer);
+                        return;
+                    }
+                    if (responseType == "buffer") {
+                        resolve(Buffer.concat(chunks));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(buffer));
+                    } catch (err) {
+                        reject(new CCContainerError("Failed to parse the response of " + method + " " + path + ": " + err.message,
+                            resp.statusCode, { "body": buffer }));
+                    }
+                });
+            });
+            req.on("error", err => {
+                reject(new CCContainerError("Docker Engine API request error: " + err.message, undefined, { "socketPath": this.socketPath }));
+            });
+            if (data !== undefined) {
+                req.write(data);
+            }
+            req.end();
+        });
+    }
+
+}
+
+/**
+ * Manages containers through the docker CLI or a CLI compatible with it, e.g. nerdctl.
+ * The CLI is run without a shell, so that arguments are never interpreted.
+ * @class
+ */
+class DockerCLIRuntime extends ContainerRuntime {
+
+    /**
+     * Creates a new instance of DockerCLIRuntime.
+     * @constructor
+     * @param {string} [command="docker"] - The docker executable.
+     * @param {object} [options] - The runtime options, see ContainerRuntime.
+     */
+    constructor(command = "docker", options = {}) {
+        super(options);
+        this.command = command;
+    }
+
+    async createContainer(spec) {
+        const stdout = await this.run(["create"].concat(this.getCreateArguments(spec), [spec.image], spec.command || []));
+        return stdout.trim().split("\n").pop();
+    }
+
+    async startContainer(containerId) {
+        await this.run(["start", containerId]);
+    }
+
+    async inspectContainer(containerId) {
+        const containers = JSON.parse(await this.run(["inspect", "--type", "container", containerId]));
+        return ContainerRuntime.toContainerState(containers[0]);
+    }
+
+    async stopContainer(containerId, options = {}) {
+        const timeout = options.timeout === undefined ? 10 : options.timeout;
+        await this.run(["stop", "-t", String(timeout), containerId]);
+    }
+
+    async removeContainer(containerId, options = {}) {
+        await this.run(options.force ? ["rm", "-f", containerId] : ["rm", containerId]);
+    }
+
+    async listContainers(filter = {}) {
+        let args = ["ps", "-a", "-q", "--no-trunc"];
+        if (filter.namePrefix) {
+            args.push("--filter", "name=^/?" + filter.namePrefix);
+        }
+        const containerIds = (await this.run(args)).split("\n").filter(line => line.trim());
+        if (containerIds.length == 0) {
+            return [];
+        }
+        const containers = JSON.parse(await this.run(["inspect", "--type", "container"].concat(containerIds)));
+        return containers.map(ContainerRuntime.toContainerState)
+            .filter(state => !filter.namePrefix || state.containerName.startsWith(filter.namePrefix));
+    }
+
+    async inspectImage(image) {
+        const images = JSON.parse(await this.run(["image", "inspect", image]));
+        return ContainerRuntime.toImageState(images[0]);
+    }
+
+    async waitContainer(containerId) {
+        return parseInt((await this.run(["wait", containerId])).trim(), 10);
+    }
+
+    async getContainerLogs(containerId) {
+        return new Promise((resolve, reject) => {
+            execFile(this.command, ["logs", containerId], { "maxBuffer": 256 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new CCContainerError(this.command + " logs failed: " + (stderr || error.message).trim(),
+                        /no such container/i.test(stderr) ? 404 : undefined, { "exitCode": error.code, "stderr": stderr }));
+                    return;
+                }
+                resolve({ "stdout": stdout, "stderr": stderr });
+            });
+        });
+    }
+
+    async execInContainer(containerId, command, options = {}) {
+        let args = ["exec"];
+        if (options.user) {
+            args.push("-u", options.user);
+        }
+        args = args.concat([containerId], command);
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { "maxBuffer": 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error && (typeof error.code != "number" || /no such container|is not running/i.test(stderr))) {
+                    reject(new CCContainerError(this.command + " exec failed: " + (stderr || error.message).trim(),
+                        /no such container/i.test(stderr) ? 404 : undefined, { "exitCode": error.code, "stderr": stderr }));
+                    return;
+                }
+                resolve({ "exitCode": error ? error.code : 0, "output": stdout + stderr });
+            });
+        });
+    }
+
+    /**
+     * Returns the arguments of the create command for a container spec, without the image.
+     * @param {object} spec - The container spec.
+     * @returns {string[]} The arguments.
+     */
+    getCreateArguments(spec) {
+        let args = ["--name", spec.name];
+        if (this.options.userns) {
+            args.push("--userns", this.options.userns);
+        }
+        for (const port of spec.ports || []) {
+            args.push("-p", port.hostPort + ":" + port.containerPort);
+        }
+        for (const volume of spec.volumes || []) {
+            args.push("-v", this.getBind(volume));
+        }
+        for (const [name, value] of Object.entries(spec.env || {})) {
+            args.push("-e", name + "=" + value);
+        }
+        for (const [name, value] of Object.entries(spec.labels || {})) {
+            args.push("--label", name + "=" + value);
+        }
+        if (spec.workingDir) {
+            args.push("-w", spec.workingDir);
+        }
+        if (spec.user) {
+            args.push("-u", spec.user);
+        }
+        if (spec.memory) {
+            args.push("-m", spec.memory + "m");
+        }
+        return args;
+    }
+
+    /**
+     * Runs the CLI with the given arguments.
+     * @param {string[]} args - The arguments.
+     * @returns {Promise<string>} A promise that resolves with the stdout of the command.
+     *                            Rejects with a CCContainerError with status 404 if a container or image does not exist.
+     */
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { "maxBuffer": 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    const message = (stderr || error.message).trim();
+                    const statusCode = /no such (container|object|image)|not found/i.test(message) ? 404 : undefined;
+                    reject(new CCContainerError(this.command + " " + args[0] + " failed: " + message, statusCode, {
+                        "exitCode": error.code,
+                        "stderr": stderr,
+                    }));
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+}
+
+/**
+ * Manages containers through the Podman CLI.
+ * Rootless Podman maps the host user to the same uid inside the container (--userns keep-id), so that the container
+ * user gets the uid and gid of the host user. Volumes are labeled for SELinux as shared ("z").
+ * @class
+ */
+class PodmanRuntime extends DockerCLIRuntime {
+
+    /**
+     * Creates a new instance of PodmanRuntime.
+     * @constructor
+     * @param {string} [command="podman"] - The podman executable.
+     * @param {object} [options] - The runtime options, see ContainerRuntime.
+     *                             Set userns or volumeLabel to null to disable the defaults.
+     */
+    constructor(command = "podman", options = {}) {
+        const rootless = process.getuid !== undefined && process.getuid() != 0;
+        super(command, Object.assign({
+            "userns": rootless ? "keep-id" : undefined,
+            "volumeLabel": "z",
+        }, options));
+        this.rootless = rootless;
+    }
+
+    getVolumeOwner() {
+        if (!this.options.volumeOwner && this.options.userns == "keep-id") {
+            return { "uid": process.getuid(), "gid": process.getgid() };
+        }
+        return super.getVolumeOwner();
+    }
+
+}
+
+module.exports = {
+    ContainerRuntime: ContainerRuntime,
+    DockerEngineRuntime: DockerEngineRuntime,
+    DockerCLIRuntime: DockerCLIRuntime,
+    PodmanRuntime: PodmanRuntime
+}
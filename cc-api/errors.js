@@ -0,0 +1,89 @@
+/**
+ * Represents an invalid RED document that was rejected before submission.
+ * @class
+ */
+class CCValidationError extends Error {
+
+    /**
+     * Creates a new instance of CCValidationError.
+     * @constructor
+     * @param {object[]} errors - The validation errors, each with a JSON path and a message.
+     */
+    constructor(errors) {
+        super('Invalid RED: ' + errors.map(error => error.path + ': ' + error.message).join('; '));
+        this.name = 'CCValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Represents a failed request to the cc-agency. Network errors and timeouts have no status code.
+ * @class
+ */
+class CCAgencyError extends Error {
+
+    /**
+     * Creates a new instance of CCAgencyError.
+     * @constructor
+     * @param {string} message - The description of the error.
+     * @param {number} [statusCode] - The HTTP status code of the response.
+     * @param {*} [body] - The body of the response, parsed as JSON if possible.
+     */
+    constructor(message, statusCode, body) {
+        super(message);
+        this.name = 'CCAgencyError';
+        this.statusCode = statusCode;
+        this.body = body;
+    }
+}
+
+/**
+ * Represents a request to the cc-agency that was rejected because of missing or wrong credentials (401, 403).
+ * @class
+ */
+class CCAuthError extends CCAgencyError {
+    constructor(message, statusCode, body) {
+        super(message, statusCode, body);
+        this.name = 'CCAuthError';
+    }
+}
+
+/**
+ * Represents a request to the cc-agency for an experiment, batch or log that does not exist (404).
+ * @class
+ */
+class CCNotFoundError extends CCAgencyError {
+    constructor(message, statusCode, body) {
+        super(message, statusCode, body);
+        this.name = 'CCNotFoundError';
+    }
+}
+
+/**
+ * Represents a failed operation of a container runtime, e.g. the Docker Engine API or the docker CLI.
+ * @class
+ */
+class CCContainerError extends Error {
+
+    /**
+     * Creates a new instance of CCContainerError.
+     * @constructor
+     * @param {string} message - The description of the error.
+     * @param {number} [statusCode] - The HTTP status code of the Engine API, 404 if a container or image does not exist.
+     * @param {object} [details] - Further details, e.g. the containerId or the stderr of the CLI.
+     */
+    constructor(message, statusCode, details = {}) {
+        super(message);
+        this.name = 'CCContainerError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    CCValidationError: CCValidationError,
+    CCAgencyError: CCAgencyError,
+    CCAuthError: CCAuthError,
+    CCNotFoundError: CCNotFoundError,
+    CCContainerError: CCContainerError
+}
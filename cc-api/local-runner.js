@@ -0,0 +1,781 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { ContainerRuntime } = require("./container-runtime.js");
+const { CCTransport } = require("./transport.js");
+const { HTTP_ARCHIVE_FORMATS } = require("./red-validator.js");
+
+/**
+ * The default runner options.
+ */
+const DEFAULT_OPTIONS = {
+    "workDir": path.join(os.tmpdir(), "cc-local"),
+    "keepFiles": false,
+    "batchConcurrencyLimit": 1,
+    "redirects": 5,
+};
+
+/**
+ * The final states of a batch.
+ */
+const FINAL_STATES = ["succeeded", "failed", "cancelled"];
+
+/**
+ * The directory of a batch inside its container, containing the inputs and outputs directories.
+ */
+const CONTAINER_DIRECTORY = "/cc";
+
+/**
+ * The tar flags and file extensions of the compressions used by the tar archive formats of the HTTP connector,
+ * by the prefix of the format ("gz" for "gztar").
+ */
+const TAR_COMPRESSIONS = {
+    "": { "flag": "", "extension": "" },
+    "gz": { "flag": "z", "extension": ".gz" },
+    "bz": { "flag": "j", "extension": ".bz2" },
+    "xz": { "flag": "J", "extension": ".xz" },
+};
+
+/**
+ * Runs experiments on this host with a container runtime instead of a cc-agency.
+ * The runner answers the requests of a CCExperiment like a cc-agency, so that startExperiment(), fetchCurrentStatus(),
+ * getStdout(), cancelExperiment() and watch() work unchanged, including the status history and debugInfo of failed batches.
+ * Every batch runs in its own container: the inputs are staged from their connectors, the command line is built
+ * from the cli inputs, stdout and stderr are captured and the outputs are collected by their globs and delivered
+ * through their connectors.
+ * HTTP, SSH and local connectors (CCLocalConnector) are supported, the paths of local connectors are copied directly.
+ * SSH connectors to the port of the SSH server of the experiment access its shared directory directly, so the SSH server
+ * itself is not started. Other SSH hosts are accessed with scp and key authentication.
+ * Images from private registries have to be pulled before, GPU requirements are not applied.
+ * @class
+ */
+class LocalRunner {
+
+    /**
+     * Creates a new instance of LocalRunner and sets it as transport of the experiment.
+     * @constructor
+     * @param {CCExperiment} [experiment] - The experiment to run locally.
+     * @param {object} [options] - The runner options.
+     * @param {ContainerRuntime} [options.runtime] - The container runtime, by default selected by CC_CONTAINER_RUNTIME.
+     * @param {string} [options.workDir] - The directory for the inputs and outputs of the batches, by default cc-local in the temp directory.
+     * @param {boolean} [options.keepFiles=false] - Whether the directories of finished batches are kept, e.g. for debugging.
+     * @param {number} [options.batchConcurrencyLimit=1] - The number of batches run at once, unless set by the execution settings.
+     * @param {string} [options.user] - The user running the batches as "uid:gid", by default the current user.
+     * @param {number} [options.redirects=5] - The maximum number of HTTP redirects followed for downloads.
+     */
+    constructor(experiment, options = {}) {
+        this.experiment = experiment;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.runtime = this.options.runtime || ContainerRuntime.createDefault();
+        this.batches = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.concurrencyLimit = this.options.batchConcurrencyLimit;
+        if (experiment) {
+            experiment.setTransport(this);
+        }
+    }
+
+    /**
+     * Answers a GET request like the cc-agency.
+     * @param {string} apiPath - The API path relative to the cc-agency URL.
+     * @param {object} [options] - The request options, see CCTransport.request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    get(apiPath, options = {}) {
+        return this.request("GET", apiPath, options);
+    }
+
+    /**
+     * Answers a POST request like the cc-agency.
+     * @param {string} apiPath - The API path relative to the cc-agency URL.
+     * @param {*} body - The body of the request.
+     * @param {object} [options] - The request options, see CCTransport.request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    post(apiPath, body, options = {}) {
+        return this.request("POST", apiPath, Object.assign({ "body": body }, options));
+    }
+
+    /**
+     * Answers a DELETE request like the cc-agency.
+     * @param {string} apiPath - The API path relative to the cc-agency URL.
+     * @param {object} [options] - The request options, see CCTransport.request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    delete(apiPath, options = {}) {
+        return this.request("DELETE", apiPath, options);
+    }
+
+    /**
+     * Answers a request to the REST API of the cc-agency: POST /red, GET /batches?experimentId=, GET and DELETE
+     * /batches/:id and GET /batches/:id/stdout|stderr.
+     * @param {string} method - The HTTP method of the request.
+     * @param {string} apiPath - The API path relative to the cc-agency URL.
+     * @param {object} [options] - The request options, see CCTransport.request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     *                       Rejects with a CCNotFoundError for unknown batches, logs that do not exist yet and other paths.
+     */
+    async request(method, apiPath, options = {}) {
+        const url = new URL(apiPath, "http://localhost/");
+        const parts = url.pathname.split("/").filter(part => part);
+
+        if (method == "POST" && parts.length == 1 && parts[0] == "red") {
+            return this.submit(options.body);
+        }
+        if (parts[0] == "batches") {
+            if (method == "GET" && parts.length == 1) {
+                return this.listBatches(url.searchParams.get("experimentId"));
+            }
+            const batch = this.batches.get(parts[1]);
+            if (batch && parts.length == 2 && method == "GET") {
+                return LocalRunner.getBatchDocument(batch);
+            }
+            if (batch && parts.length == 2 && method == "DELETE") {
+                return this.cancel(batch);
+            }
+            if (batch && parts.length == 3 && method == "GET" && ["stdout", "stderr"].includes(parts[2])
+                && batch[parts[2]] !== undefined) {
+                return options.responseType == "stream" ? Readable.from([Buffer.from(batch[parts[2]])]) : batch[parts[2]];
+            }
+        }
+        throw CCTransport.createStatusError(method, apiPath, 404, { "description": "Not found." });
+    }
+
+    /**
+     * Registers the batches of a RED and queues them for running.
+     * @param {object} red - The RED Json object.
+     * @returns {object} The experimentId.
+     */
+    submit(red) {
+        const experimentId = crypto.randomBytes(12).toString("hex");
+        const settings = (red.execution || {}).settings || {};
+        this.concurrencyLimit = settings.batchConcurrencyLimit || this.options.batchConcurrencyLimit;
+
+        const entries = Array.isArray(red.batches) ? red.batches : [{ "inputs": red.inputs, "outputs": red.outputs }];
+        entries.forEach((entry, index) => {
+            let batch = {
+                "id": crypto.randomBytes(12).toString("hex"),
+                "experimentId": experimentId,
+                "index": index,
+                "red": Object.assign({}, red, { "inputs": entry.inputs || {}, "outputs": entry.outputs || {} }),
+                "state": undefined,
+                "history": [],
+            };
+            this.setState(batch, "registered");
+            this.batches.set(batch.id, batch);
+            this.queue.push(batch);
+        });
+        this.processQueue();
+        return { "experimentId": experimentId };
+    }
+
+    /**
+     * Lists the batches of an experiment.
+     * @param {string} experimentId - The ID of the experiment.
+     * @returns {object[]} The batch documents.
+     */
+    listBatches(experimentId) {
+        return Array.from(this.batches.values())
+            .filter(batch => !experimentId || batch.experimentId == experimentId)
+            .map(LocalRunner.getBatchDocument);
+    }
+
+    /**
+     * Cancels a batch. Queued batches are not started, the container of a running batch is removed.
+     * @param {object} batch - The batch.
+     * @returns {Promise<object>} A promise that resolves with the batch document.
+     */
+    async cancel(batch) {
+        if (!FINAL_STATES.includes(batch.state)) {
+            this.queue = this.queue.filter(queued => queued !== batch);
+            this.setState(batch, "cancelled");
+            if (batch.containerId) {
+                await this.runtime.removeContainer(batch.containerId, { "force": true }).catch(() => { });
+            }
+        }
+        return LocalRunner.getBatchDocument(batch);
+    }
+
+    /**
+     * Starts queued batches as long as the concurrency limit allows.
+     */
+    processQueue() {
+        while (this.running < this.concurrencyLimit && this.queue.length > 0) {
+            const batch = this.queue.shift();
+            this.running++;
+            this.runBatch(batch).finally(() => {
+                this.running--;
+                this.processQueue();
+            });
+        }
+    }
+
+    /**
+     * Runs a batch: stages its inputs, runs its container and delivers its outputs.
+     * A failure of any step fails the batch with the error message as debugInfo.
+     * @param {object} batch - The batch.
+     * @returns {Promise} A promise that resolves when the batch is finished.
+     */
+    async runBatch(batch) {
+        const batchDir = path.join(this.options.workDir, batch.id);
+        try {
+            this.setState(batch, "scheduled");
+            await fs.promises.mkdir(path.join(batchDir, "inputs"), { "recursive": true });
+            await fs.promises.mkdir(path.join(batchDir, "outputs"), { "recursive": true });
+            this.setState(batch, "processing");
+
+            const values = await this.stageInputs(batch, batchDir);
+            if (batch.state != "processing") {
+                return;
+            }
+            const exitCode = await this.runContainer(batch, batchDir, values);
+            if (batch.state != "processing") {
+                return;
+            }
+            if (exitCode != 0) {
+                const stderr = (batch.stderr || "").trim().split("\n").slice(-20).join("\n");
+                throw new Error("Process exited with code " + exitCode + (stderr ? ":\n" + stderr : "."));
+            }
+            await this.deliverOutputs(batch, batchDir);
+            this.setState(batch, "succeeded");
+        } catch (err) {
+            this.setState(batch, "failed", err.message);
+        } finally {
+            if (!this.options.keepFiles) {
+                await fs.promises.rm(batchDir, { "recursive": true, "force": true }).catch(() => { });
+            }
+        }
+    }
+
+    /**
+     * Changes the state of a batch and adds it to the history. Finished batches keep their state.
+     * @param {object} batch - The batch.
+     * @param {string} state - The new state.
+     * @param {string} [debugInfo] - The reason of a failure.
+     */
+    setState(batch, state, debugInfo = null) {
+        if (FINAL_STATES.includes(batch.state)) {
+            return;
+        }
+        batch.state = state;
+        batch.history.push({ "state": state, "time": Date.now() / 1000, "debugInfo": debugInfo, "node": os.hostname() });
+    }
+
+    /**
+     * Creates and runs the container of a batch and captures its stdout and stderr.
+     * The streams are also written to the capture files of the cli section in the outputs directory.
+     * @param {object} batch - The batch.
+     * @param {string} batchDir - The directory of the batch.
+     * @param {object} values - The input values, File and Directory inputs as paths inside the container.
+     * @returns {Promise<number>} A promise that resolves with the exit code of the container.
+     */
+    async runContainer(batch, batchDir, values) {
+        const cli = batch.red.cli;
+        const settings = (batch.red.container || {}).settings || {};
+        batch.containerId = await this.runtime.createContainer({
+            "name": "cc-local-" + batch.id,
+            "image": (settings.image || {}).url,
+            "command": [].concat(cli.baseCommand || [], LocalRunner.buildArguments(cli, values)),
+            "workingDir": CONTAINER_DIRECTORY + "/outputs",
+            "user": this.options.user || process.getuid() + ":" + process.getgid(),
+            "memory": settings.ram,
+            "volumes": [{ "source": batchDir, "target": CONTAINER_DIRECTORY }],
+            "labels": { "cc-api.experiment": batch.experimentId },
+        });
+        try {
+            if (batch.state != "processing") {
+                return undefined;
+            }
+            await this.runtime.startContainer(batch.containerId);
+            const exitCode = await this.runtime.waitContainer(batch.containerId);
+            const logs = await this.runtime.getContainerLogs(batch.containerId);
+            batch.stdout = logs.stdout;
+            batch.stderr = logs.stderr;
+            for (const stream of ["stdout", "stderr"]) {
+                await fs.promises.writeFile(path.join(batchDir, "outputs", cli[stream] || stream + ".txt"), batch[stream]);
+            }
+            return exitCode;
+        } finally {
+            await this.runtime.removeContainer(batch.containerId, { "force": true }).catch(() => { });
+            batch.containerId = undefined;
+        }
+    }
+
+    /**
+     * Stages the File and Directory inputs of a batch in its inputs directory.
+     * @param {object} batch - The batch.
+     * @param {string} batchDir - The directory of the batch.
+     * @returns {Promise<object>} A promise that resolves with the input values by name,
+     *                            File and Directory inputs replaced by their paths inside the container.
+     */
+    async stageInputs(batch, batchDir) {
+        let values = {};
+        for (const [name, value] of Object.entries(batch.red.inputs)) {
+            values[name] = await this.stageValue(value, "inputs/" + name, batchDir);
+        }
+        return values;
+    }
+
+    /**
+     * Stages an input value. Arrays are staged item by item in numbered directories.
+     * @param {*} value - The input value.
+     * @param {string} relativeDir - The directory for the value relative to the batch directory.
+     * @param {string} batchDir - The directory of the batch.
+     * @returns {Promise<*>} A promise that resolves with the value, File and Directory values replaced by their paths inside the container.
+     */
+    async stageValue(value, relativeDir, batchDir) {
+        if (Array.isArray(value)) {
+            let staged = [];
+            for (let index = 0; index < value.length; index++) {
+                staged.push(await this.stageValue(value[index], relativeDir + "/" + index, batchDir));
+            }
+            return staged;
+        }
+        if (value === null || typeof value != "object" || !value.connector) {
+            return value;
+        }
+
+        const isDirectory = value["class"] == "Directory";
+        const relativePath = relativeDir + "/" + LocalRunner.getBasename(value.connector, isDirectory);
+        const target = path.join(batchDir, relativePath);
+        await fs.promises.mkdir(path.dirname(target), { "recursive": true });
+        await this.fetchInput(value.connector, target, isDirectory);
+        return CONTAINER_DIRECTORY + "/" + relativePath;
+    }
+
+    /**
+     * Collects the outputs of a batch by their globs and delivers them through their connectors.
+     * Optional outputs without matching file are skipped. The stdout and stderr capture files are not matched by globs.
+     * @param {object} batch - The batch.
+     * @param {string} batchDir - The directory of the batch.
+     * @returns {Promise} A promise that resolves when all outputs are delivered.
+     * @throws {Error} If a required output is missing, its glob matches multiple files or it has the wrong class.
+     */
+    async deliverOutputs(batch, batchDir) {
+        const outputsDir = path.join(batchDir, "outputs");
+        const cli = batch.red.cli;
+        const captureFiles = ["stdout", "stderr"].map(stream => path.join(outputsDir, cli[stream] || stream + ".txt"));
+        for (const [name, value] of Object.entries(batch.red.outputs)) {
+            if (!value || !value.connector) {
+                continue;
+            }
+            const cliOutput = (cli.outputs || {})[name] || {};
+            const type = String(cliOutput.type);
+            let source;
+            if (type == "stdout" || type == "stderr") {
+                source = path.join(outputsDir, cli[type] || type + ".txt");
+            } else {
+                const matches = (await LocalRunner.glob(outputsDir, [].concat((cliOutput.outputBinding || {}).glob || [])))
+                    .filter(match => !captureFiles.includes(match));
+                if (matches.length == 0) {
+                    if (type.endsWith("?")) {
+                        continue;
+                    }
+                    throw new Error('No file matches the glob of output "' + name + '"!');
+                }
+                if (matches.length > 1) {
+                    throw new Error('The glob of output "' + name + '" matches ' + matches.length + ' files!');
+                }
+                source = matches[0];
+            }
+
+            const isDirectory = (await fs.promises.stat(source)).isDirectory();
+            if (isDirectory != (type.replace("?", "") == "Directory")) {
+                throw new Error('Output "' + name + '" of type ' + type + ' matches a ' + (isDirectory ? 'directory' : 'file') + '!');
+            }
+            await this.deliverOutput(value.connector, source, isDirectory, batchDir);
+        }
+    }
+
+    /**
+     * Fetches an input through its connector.
+     * @param {object} connector - The RED Json of the connector.
+     * @param {string} target - The local path of the file or directory.
+     * @param {boolean} isDirectory - Whether the input is a directory.
+     * @returns {Promise} A promise that resolves when the input is fetched.
+     * @throws {Error} If the connector is not supported.
+     */
+    async fetchInput(connector, target, isDirectory) {
+        const access = connector.access || {};
+        if (connector.command == "red-connector-ssh") {
+            return this.transferSSH(access, target, isDirectory, false);
+        }
+        if (connector.command == "red-connector-local") {
+            return fs.promises.cp(access.path, target, { "recursive": true });
+        }
+        if (connector.command == "red-connector-http") {
+            if (!isDirectory) {
+                return this.transferHTTP(access, access.method || "GET", { "download": target });
+            }
+            if (!access.archiveFormat) {
+                throw new Error('Directory inputs over HTTP need an archive format!');
+            }
+            const archive = target + LocalRunner.getArchiveExtension(access.archiveFormat);
+            await this.transferHTTP(access, access.method || "GET", { "download": archive });
+            await LocalRunner.extractArchive(archive, target, access.archiveFormat);
+            return fs.promises.rm(archive, { "force": true });
+        }
+        throw new Error('The connector ' + connector.command + ' is not supported by the LocalRunner! Use HTTP, SSH or local connectors.');
+    }
+
+    /**
+     * Delivers an output through its connector.
+     * @param {object} connector - The RED Json of the connector.
+     * @param {string} source - The local path of the file or directory.
+     * @param {boolean} isDirectory - Whether the output is a directory.
+     * @param {string} batchDir - The directory of the batch, used for archives.
+     * @returns {Promise} A promise that resolves when the output is delivered.
+     * @throws {Error} If the connector is not supported.
+     */
+    async deliverOutput(connector, source, isDirectory, batchDir) {
+        const access = connector.access || {};
+        if (connector.command == "red-connector-ssh") {
+            return this.transferSSH(access, source, isDirectory, true);
+        }
+        if (connector.command == "red-connector-local") {
+            await fs.promises.mkdir(path.dirname(access.path), { "recursive": true });
+            return fs.promises.cp(source, access.path, { "recursive": true });
+        }
+        if (connector.command == "red-connector-http") {
+            if (!isDirectory) {
+                return this.transferHTTP(access, access.method || "POST", { "upload": source });
+            }
+            if (!access.archiveFormat) {
+                throw new Error('Directory outputs over HTTP need an archive format!');
+            }
+            const archive = path.join(batchDir, crypto.randomBytes(8).toString("hex")
+                + LocalRunner.getArchiveExtension(access.archiveFormat));
+            await LocalRunner.createArchive(source, archive, access.archiveFormat);
+            return this.transferHTTP(access, access.method || "POST", { "upload": archive });
+        }
+        throw new Error('The connector ' + connector.command + ' is not supported by the LocalRunner! Use HTTP, SSH or local connectors.');
+    }
+
+    /**
+     * Downloads a file from or uploads a file to the URL of an HTTP connector.
+     * Redirects of downloads are followed, credentials and headers are only sent to the original origin.
+     * @param {object} access - The access information of the HTTP connector.
+     * @param {string} method - The HTTP method.
+     * @param {object} transfer - The local files.
+     * @param {string} [transfer.download] - The file the response is written to.
+     * @param {string} [transfer.upload] - The file sent as request body.
+     * @param {number} [redirects] - The number of redirects left.
+     * @returns {Promise} A promise that resolves when the transfer is finished.
+     */
+    async transferHTTP(access, method, transfer, redirects = this.options.redirects) {
+        const url = new URL(access.url);
+        let headers = Object.assign({}, access.headers);
+        if (access.auth) {
+            if (access.auth.method == "DIGEST") {
+                throw new Error('Digest authentication is not supported by the LocalRunner!');
+            }
+            headers["Authorization"] = 'Basic ' + Buffer.from(access.auth.username + ':' + access.auth.password).toString('base64');
+        }
+        if (transfer.upload) {
+            headers["Content-Length"] = (await fs.promises.stat(transfer.upload)).size;
+        }
+
+        const client = url.protocol == "https:" ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, { "method": method, "headers": headers, "rejectUnauthorized": !access.disableSSLVerification }, resp => {
+                if (resp.statusCode >= 300 && resp.statusCode < 400 && resp.headers.location && transfer.download && redirects > 0) {
+                    resp.resume();
+                    const location = new URL(resp.headers.location, url);
+                    const redirected = location.origin == url.origin
+                        ? Object.assign({}, access, { "url": location.toString() })
+                        : { "url": location.toString(), "disableSSLVerification": access.disableSSLVerification };
+                    this.transferHTTP(redirected, method, transfer, redirects - 1).then(resolve, reject);
+                    return;
+                }
+                if (resp.statusCode >= 300) {
+                    resp.resume();
+                    reject(new Error(method + " " + url.origin + url.pathname + " failed with status " + resp.statusCode + "."));
+                    return;
+                }
+                if (transfer.download) {
+                    pipeline(resp, fs.createWriteStream(transfer.download)).then(resolve, reject);
+                } else {
+                    resp.resume();
+                    resp.on("end", resolve);
+                }
+            });
+            req.on("error", err => {
+                reject(new Error(method + " " + url.origin + url.pathname + " failed: " + err.message));
+            });
+            if (transfer.upload) {
+                pipeline(fs.createReadStream(transfer.upload), req).catch(reject);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    /**
+     * Copies a file or directory from or to the host of an SSH connector.
+     * Paths in the shared directory of the SSH server of the experiment are copied directly,
+     * other hosts are accessed with scp and the private key of the connector.
+     * @param {object} access - The access information of the SSH connector.
+     * @param {string} localPath - The local file or directory.
+     * @param {boolean} isDirectory - Whether a directory is copied.
+     * @param {boolean} upload - True to copy the local path to the host, false to copy from the host.
+     * @returns {Promise} A promise that resolves when the copy is finished.
+     * @throws {Error} If a remote host is accessed with password authentication.
+     */
+    async transferSSH(access, localPath, isDirectory, upload) {
+        const remotePath = isDirectory ? access.dirPath : access.filePath;
+        const sharedPath = this.getSharedPath(access.port, remotePath);
+        if (sharedPath) {
+            const [source, target] = upload ? [localPath, sharedPath] : [sharedPath, localPath];
+            await fs.promises.mkdir(path.dirname(target), { "recursive": true });
+            return fs.promises.cp(source, target, { "recursive": true });
+        }
+
+        const auth = access.auth || {};
+        if (!auth.privateKey) {
+            throw new Error('SSH connectors to ' + access.host + ' need key authentication to be run by the LocalRunner!');
+        }
+        const keyDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cc-local-key-"));
+        try {
+            const keyFile = path.join(keyDir, "id");
+            await fs.promises.writeFile(keyFile, auth.privateKey.endsWith("\n") ? auth.privateKey : auth.privateKey + "\n", { "mode": 0o600 });
+            let args = ["-q", "-i", keyFile, "-P", String(access.port || 22), "-o", "BatchMode=yes", "-o", "StrictHostKeyChecking=accept-new"];
+            if (isDirectory) {
+                args.push("-r");
+            }
+            const remote = auth.username + "@" + access.host + ":" + remotePath;
+            await LocalRunner.execute("scp", args.concat(upload ? [localPath, remote] : [remote, localPath]));
+        } finally {
+            await fs.promises.rm(keyDir, { "recursive": true, "force": true });
+        }
+    }
+
+    /**
+     * Returns the local path of a path in the shared directory of the SSH server of the experiment.
+     * @param {number} port - The port of the SSH connector.
+     * @param {string} remotePath - The path on the SSH server.
+     * @returns {string|undefined} The local path or undefined if the path is not served by the SSH server of the experiment.
+     */
+    getSharedPath(port, remotePath) {
+        const sshServer = this.experiment ? this.experiment.sshServer : undefined;
+        if (!sshServer || !sshServer.sharedDirectory || !remotePath || port != sshServer.reservedPort) {
+            return undefined;
+        }
+        const relative = path.posix.relative(sshServer.dockerSharedDirectory, remotePath);
+        if (relative.startsWith("..") || path.posix.isAbsolute(relative)) {
+            return undefined;
+        }
+        return path.join(sshServer.sharedDirectory, relative);
+    }
+
+    /**
+     * Builds the command-line arguments from the cli inputs like CWL: inputs are ordered by their position,
+     * prefixes are added, arrays are joined by their item separator and boolean inputs add only their prefix if true.
+     * Inputs without inputBinding or value are left out.
+     * @param {object} cli - The cli section of the RED.
+     * @param {object} values - The input values by name.
+     * @returns {string[]} The arguments.
+     */
+    static buildArguments(cli, values) {
+        const bindings = Object.entries(cli.inputs || {})
+            .filter(([name, input]) => input && input.inputBinding)
+            .sort(([nameA, inputA], [nameB, inputB]) =>
+                ((inputA.inputBinding.position || 0) - (inputB.inputBinding.position || 0)) || (nameA < nameB ? -1 : nameA > nameB ? 1 : 0));
+
+        let args = [];
+        for (const [name, input] of bindings) {
+            const value = values[name];
+            const binding = input.inputBinding;
+            if (value === undefined || value === null || value === false) {
+                continue;
+            }
+            if (value === true) {
+                if (binding.prefix) {
+                    args.push(binding.prefix);
+                }
+                continue;
+            }
+
+            let items = Array.isArray(value) ? value.map(String) : [String(value)];
+            if (Array.isArray(value) && binding.itemSeparator !== undefined) {
+                items = [items.join(binding.itemSeparator)];
+            }
+            if (items.length == 0) {
+                continue;
+            }
+            if (binding.prefix && binding.separate === false) {
+                items[0] = binding.prefix + items[0];
+            } else if (binding.prefix) {
+                args.push(binding.prefix);
+            }
+            args = args.concat(items);
+        }
+        return args;
+    }
+
+    /**
+     * Returns the name of a staged input, the last segment of the path or URL of its connector.
+     * The archive extension is removed from directories transferred as archive.
+     * @param {object} connector - The RED Json of the connector.
+     * @param {boolean} isDirectory - Whether the input is a directory.
+     * @returns {string} The name of the file or directory.
+     */
+    static getBasename(connector, isDirectory) {
+        const access = connector.access || {};
+        let location = access.filePath || access.dirPath || access.url || access.path || "";
+        try {
+            location = decodeURIComponent(new URL(location).pathname);
+        } catch (err) {
+            // Paths of SSH and local connectors are no URLs.
+        }
+        let name = path.posix.basename(location);
+        if (isDirectory && access.archiveFormat) {
+            const extension = LocalRunner.getArchiveExtension(access.archiveFormat);
+            if (name.endsWith(extension)) {
+                name = name.slice(0, -extension.length);
+            }
+        }
+        return name || (isDirectory ? "directory" : "file");
+    }
+
+    /**
+     * Finds the files and directories matching glob patterns. "*" and "?" match inside a path segment,
+     * "**" matches across segments.
+     * @param {string} directory - The directory to search.
+     * @param {string[]} patterns - The glob patterns relative to the directory.
+     * @returns {Promise<string[]>} A promise that resolves with the sorted paths of the matches.
+     */
+    static async glob(directory, patterns) {
+        const entries = await fs.promises.readdir(directory, { "recursive": true });
+        const regExps = patterns.map(LocalRunner.globToRegExp);
+        return entries
+            .filter(entry => regExps.some(regExp => regExp.test(entry.split(path.sep).join("/"))))
+            .sort()
+            .map(entry => path.join(directory, entry));
+    }
+
+    /**
+     * Converts a glob pattern into a regular expression.
+     * @param {string} pattern - The glob pattern.
+     * @returns {RegExp} The regular expression matching whole relative paths.
+     */
+    static globToRegExp(pattern) {
+        pattern = pattern.replace(/^\.\//, "").replace(/\/+$/, "");
+        let source = "";
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (pattern.startsWith("**/", i)) {
+                source += "(?:.*/)?";
+                i += 2;
+            } else if (pattern.startsWith("**", i)) {
+                source += ".*";
+                i += 1;
+            } else if (char == "*") {
+                source += "[^/]*";
+            } else if (char == "?") {
+                source += "[^/]";
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+            }
+        }
+        return new RegExp("^" + source + "$");
+    }
+
+    /**
+     * Extracts an archive of the HTTP connector into a directory.
+     * @param {string} file - The archive.
+     * @param {string} directory - The target directory.
+     * @param {string} format - The archive format, see HTTP_ARCHIVE_FORMATS.
+     * @returns {Promise} A promise that resolves when the archive is extracted.
+     */
+    static async extractArchive(file, directory, format) {
+        await fs.promises.mkdir(directory, { "recursive": true });
+        if (format == "zip") {
+            return LocalRunner.execute("unzip", ["-q", file, "-d", directory]);
+        }
+        return LocalRunner.execute("tar", ["-x" + LocalRunner.getTarCompression(format).flag + "f", file, "-C", directory]);
+    }
+
+    /**
+     * Packs the content of a directory into an archive of the HTTP connector.
+     * @param {string} directory - The directory.
+     * @param {string} file - The archive to create.
+     * @param {string} format - The archive format, see HTTP_ARCHIVE_FORMATS.
+     * @returns {Promise} A promise that resolves when the archive is created.
+     */
+    static async createArchive(directory, file, format) {
+        if (format == "zip") {
+            return LocalRunner.execute("zip", ["-qr", path.resolve(file), "."], { "cwd": directory });
+        }
+        return LocalRunner.execute("tar", ["-c" + LocalRunner.getTarCompression(format).flag + "f", file, "-C", directory, "."]);
+    }
+
+    /**
+     * Returns the tar flag and file extension of the compression of a tar archive format.
+     * @param {string} format - The archive format, see HTTP_ARCHIVE_FORMATS.
+     * @returns {object} The flag and the extension, both empty for an uncompressed tar archive.
+     * @throws {Error} If the archive format is not supported.
+     */
+    static getTarCompression(format) {
+        if (!HTTP_ARCHIVE_FORMATS.includes(format) || !format.endsWith("tar")) {
+            throw new Error('Unsupported archive format "' + format + '"!');
+        }
+        return TAR_COMPRESSIONS[format.slice(0, -"tar".length)];
+    }
+
+    /**
+     * Returns the file extension of an archive format, e.g. ".tar.gz" for "gztar".
+     * @param {string} format - The archive format, see HTTP_ARCHIVE_FORMATS.
+     * @returns {string} The file extension.
+     * @throws {Error} If the archive format is not supported.
+     */
+    static getArchiveExtension(format) {
+        return format == "zip" ? ".zip" : ".tar" + LocalRunner.getTarCompression(format).extension;
+    }
+
+    /**
+     * Runs a command without shell.
+     * @param {string} command - The command.
+     * @param {string[]} args - The arguments.
+     * @param {object} [options] - The options of execFile().
+     * @returns {Promise<string>} A promise that resolves with the stdout of the command.
+     */
+    static execute(command, args, options = {}) {
+        return new Promise((resolve, reject) => {
+            execFile(command, args, options, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(command + " failed: " + (stderr || error.message).trim()));
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    /**
+     * Returns the document of a batch as returned by the cc-agency.
+     * @param {object} batch - The batch.
+     * @returns {object} The batch document.
+     */
+    static getBatchDocument(batch) {
+        return {
+            "_id": batch.id,
+            "experimentId": batch.experimentId,
+            "batchesListIndex": batch.index,
+            "state": batch.state,
+            "history": batch.history.map(historyElement => Object.assign({}, historyElement)),
+            "node": os.hostname(),
+        };
+    }
+
+}
+
+module.exports = {
+    LocalRunner: LocalRunner
+}
@@ -0,0 +1,491 @@
+const crypto = require("crypto");
+const http = require("http");
+const { EventEmitter } = require("events");
+
+/**
+ * The default mock agency options.
+ */
+const DEFAULT_OPTIONS = {
+    "host": "127.0.0.1",
+    "port": 0,
+    "username": "agency_user",
+    "password": "agency_password",
+    "node": "mock-node",
+    "script": ["scheduled", "processing", "succeeded"],
+    "stepInterval": undefined,
+};
+
+/**
+ * The states of a batch.
+ */
+const STATES = ["registered", "scheduled", "processing", "succeeded", "failed", "cancelled"];
+
+/**
+ * The final states of a batch.
+ */
+const FINAL_STATES = ["succeeded", "failed", "cancelled"];
+
+/**
+ * An in-process HTTP server answering the requests of this library like a cc-agency, for testing without a cc-agency.
+ * It implements POST /red, GET /batches?experimentId=, GET and DELETE /batches/:id, GET /batches/:id/stdout|stderr,
+ * GET /experiments and GET /experiments/:id, all with basic authentication.
+ * Every submitted batch is registered and then follows its script of steps, one step per advance() or per step interval.
+ * A step is a state or an object with state, debugInfo, stdout and stderr, e.g.
+ * ["scheduled", "processing", { "state": "failed", "debugInfo": "Out of memory.", "stderr": "Killed" }].
+ * Emits "submit" with the experiment document and "state" with the batch document on every state change.
+ * @class
+ */
+class MockAgency extends EventEmitter {
+
+    /**
+     * Creates a new instance of MockAgency.
+     * @constructor
+     * @param {object} [options] - The mock agency options.
+     * @param {string} [options.host="127.0.0.1"] - The host to listen on.
+     * @param {number} [options.port=0] - The port to listen on, by default a free port.
+     * @param {string} [options.username="agency_user"] - The username required by the basic authentication.
+     * @param {string} [options.password="agency_password"] - The password required by the basic authentication.
+     * @param {string} [options.node="mock-node"] - The node reported for scheduled batches.
+     * @param {object[]|string[]|function} [options.script] - The steps of every batch after its registration,
+     *                                                       or a function (red, batchIndex) returning the steps of a batch.
+     *                                                       By default the batches succeed.
+     * @param {number} [options.stepInterval] - The interval in milliseconds in which the batches advance by themselves,
+     *                                          by default they only advance with advance().
+     */
+    constructor(options = {}) {
+        super();
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.experiments = new Map();
+        this.batches = new Map();
+        this.requests = [];
+        this.server = undefined;
+        this.stepTimer = undefined;
+    }
+
+    /**
+     * Starts the HTTP server.
+     * @returns {Promise<string>} A promise that resolves with the URL of the mock agency.
+     */
+    async start() {
+        if (this.server) {
+            return this.url;
+        }
+        this.server = http.createServer((req, resp) => this.handleRequest(req, resp));
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.removeListener("error", reject);
+                resolve();
+            });
+        });
+        if (this.options.stepInterval) {
+            this.stepTimer = setInterval(() => this.advanceAll(), this.options.stepInterval);
+        }
+        return this.url;
+    }
+
+    /**
+     * Stops the HTTP server and closes its open connections.
+     * @returns {Promise} A promise that resolves when the server is closed.
+     */
+    async stop() {
+        clearInterval(this.stepTimer);
+        this.stepTimer = undefined;
+        if (!this.server) {
+            return;
+        }
+        const server = this.server;
+        this.server = undefined;
+        await new Promise(resolve => {
+            server.close(() => resolve());
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+        });
+    }
+
+    /**
+     * The URL of the running mock agency, e.g. to create a CCExperiment.
+     * @returns {string} The URL or undefined if the server is not started.
+     */
+    get url() {
+        if (!this.server || !this.server.address()) {
+            return undefined;
+        }
+        return "http://" + this.options.host + ":" + this.server.address().port + "/";
+    }
+
+    /**
+     * Advances a batch by the next step of its script. Finished batches are not changed.
+     * @param {string} batchId - The ID of the batch.
+     * @returns {object} The batch document.
+     * @throws {Error} If the batch does not exist.
+     */
+    advance(batchId) {
+        const batch = this.getBatch(batchId);
+        if (!FINAL_STATES.includes(batch.state) && batch.steps.length > 0) {
+            this.applyStep(batch, batch.steps.shift());
+        }
+        return MockAgency.getBatchDocument(batch);
+    }
+
+    /**
+     * Advances all batches, or the batches of an experiment, by the next step of their scripts.
+     * @param {string} [experimentId] - The ID of the experiment.
+     * @returns {object[]} The batch documents.
+     */
+    advanceAll(experimentId) {
+        return this.listBatches({ "experimentId": experimentId }).map(batch => this.advance(batch._id));
+    }
+
+    /**
+     * Advances a batch through all remaining steps of its script.
+     * @param {string} batchId - The ID of the batch.
+     * @returns {object} The batch document.
+     * @throws {Error} If the batch does not exist.
+     */
+    finish(batchId) {
+        const batch = this.getBatch(batchId);
+        while (!FINAL_STATES.includes(batch.state) && batch.steps.length > 0) {
+            this.applyStep(batch, batch.steps.shift());
+        }
+        return MockAgency.getBatchDocument(batch);
+    }
+
+    /**
+     * Replaces the remaining steps of a batch.
+     * @param {string} batchId - The ID of the batch.
+     * @param {object[]|string[]} steps - The steps, see the class description.
+     * @throws {Error} If the batch does not exist or a step has an unknown state.
+     */
+    setScript(batchId, steps) {
+        this.getBatch(batchId).steps = MockAgency.normalizeSteps(steps);
+    }
+
+    /**
+     * Sets the state of a batch immediately, regardless of its script and of its current state.
+     * @param {string} batchId - The ID of the batch.
+     * @param {string|object} step - The state or an object with state, debugInfo, stdout and stderr.
+     * @returns {object} The batch document.
+     * @throws {Error} If the batch does not exist or the state is unknown.
+     */
+    setState(batchId, step) {
+        const batch = this.getBatch(batchId);
+        this.applyStep(batch, MockAgency.normalizeSteps([step])[0]);
+        return MockAgency.getBatchDocument(batch);
+    }
+
+    /**
+     * Sets the stdout and stderr of a batch. Streams that are not set are answered with 404.
+     * @param {string} batchId - The ID of the batch.
+     * @param {object} logs - The logs.
+     * @param {string} [logs.stdout] - The stdout.
+     * @param {string} [logs.stderr] - The stderr.
+     * @throws {Error} If the batch does not exist.
+     */
+    setLogs(batchId, logs) {
+        const batch = this.getBatch(batchId);
+        for (const stream of ["stdout", "stderr"]) {
+            if (logs[stream] !== undefined) {
+                batch[stream] = logs[stream];
+            }
+        }
+    }
+
+    /**
+     * Lists the batches like GET /batches.
+     * @param {object} [filter] - The filter for the batches.
+     * @param {string} [filter.experimentId] - Only batches of this experiment.
+     * @param {string} [filter.username] - Only batches registered by this user.
+     * @param {string} [filter.state] - Only batches in this state.
+     * @param {number} [filter.skip] - The number of batches to skip.
+     * @param {number} [filter.limit] - The maximum number of batches to return.
+     * @returns {object[]} The batch documents in the order of registration.
+     */
+    listBatches(filter = {}) {
+        let batches = Array.from(this.batches.values())
+            .filter(batch => !filter.experimentId || batch.experimentId == filter.experimentId)
+            .filter(batch => !filter.username || batch.username == filter.username)
+            .filter(batch => !filter.state || batch.state == filter.state)
+            .map(MockAgency.getBatchDocument);
+        const skip = Number(filter.skip) || 0;
+        return batches.slice(skip, filter.limit ? skip + Number(filter.limit) : undefined);
+    }
+
+    /**
+     * Returns the RED submitted for an experiment, e.g. to check it in a test.
+     * @param {string} experimentId - The ID of the experiment.
+     * @returns {object|undefined} The RED Json object or undefined if the experiment does not exist.
+     */
+    getRED(experimentId) {
+        const experiment = this.experiments.get(experimentId);
+        return experiment ? experiment.red : undefined;
+    }
+
+    /**
+     * Returns a batch.
+     * @param {string} batchId - The ID of the batch.
+     * @returns {object} The batch.
+     * @throws {Error} If the batch does not exist.
+     */
+    getBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            throw new Error('Batch ' + batchId + ' does not exist!');
+        }
+        return batch;
+    }
+
+    /**
+     * Registers an experiment and its batches.
+     * @param {object} red - The RED Json object.
+     * @param {string} username - The user submitting the experiment.
+     * @returns {object} The experimentId.
+     */
+    submit(red, username) {
+        const experimentId = crypto.randomBytes(12).toString("hex");
+        const registrationTime = Date.now() / 1000;
+        this.experiments.set(experimentId, { "id": experimentId, "username": username, "registrationTime": registrationTime, "red": red });
+
+        const entries = Array.isArray(red.batches) ? red.batches : [red];
+        entries.forEach((entry, index) => {
+            const steps = typeof this.options.script == "function" ? this.options.script(red, index) : this.options.script;
+            let batch = {
+                "id": crypto.randomBytes(12).toString("hex"),
+                "experimentId": experimentId,
+                "index": index,
+                "username": username,
+                "registrationTime": registrationTime,
+                "steps": MockAgency.normalizeSteps(steps),
+                "state": undefined,
+                "node": null,
+                "history": [],
+            };
+            this.batches.set(batch.id, batch);
+            this.applyStep(batch, { "state": "registered" });
+        });
+        this.emit("submit", MockAgency.getExperimentDocument(this.experiments.get(experimentId)));
+        return { "experimentId": experimentId };
+    }
+
+    /**
+     * Cancels a batch like DELETE /batches/:id. Finished batches keep their state.
+     * @param {object} batch - The batch.
+     * @returns {object} The batch document.
+     */
+    cancel(batch) {
+        if (!FINAL_STATES.includes(batch.state)) {
+            batch.steps = [];
+            this.applyStep(batch, { "state": "cancelled" });
+        }
+        return MockAgency.getBatchDocument(batch);
+    }
+
+    /**
+     * Applies a step to a batch and adds its state to the history.
+     * @param {object} batch - The batch.
+     * @param {object} step - The normalized step.
+     */
+    applyStep(batch, step) {
+        if (step.state != "registered" && batch.node === null) {
+            batch.node = this.options.node;
+        }
+        batch.state = step.state;
+        batch.history.push({
+            "state": step.state,
+            "time": Date.now() / 1000,
+            "debugInfo": step.debugInfo !== undefined ? step.debugInfo : null,
+            "node": batch.node,
+        });
+        this.setLogs(batch.id, step);
+        this.emit("state", MockAgency.getBatchDocument(batch));
+    }
+
+    /**
+     * Answers a request of the HTTP server. The parsed requests are recorded in requests.
+     * Logs are answered partially (206) for a Range header "bytes=<offset>-", with 416 if there is nothing after the offset.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} resp - The response.
+     */
+    handleRequest(req, resp) {
+        let buffer = "";
+        req.setEncoding("utf8");
+        req.on("data", chunk => {
+            buffer += chunk;
+        });
+        req.on("end", () => {
+            let status = 200;
+            let body;
+            try {
+                body = this.route(req.method, req.url, req.headers, buffer);
+            } catch (err) {
+                status = err.statusCode || 500;
+                body = { "description": err.message };
+            }
+            let headers = { "Content-Type": Buffer.isBuffer(body) ? "text/plain" : "application/json" };
+            const range = /^bytes=(\d+)-$/.exec(req.headers.range || "");
+            if (Buffer.isBuffer(body) && range) {
+                const offset = Number(range[1]);
+                if (offset >= body.length) {
+                    status = 416;
+                    headers["Content-Range"] = "bytes */" + body.length;
+                    body = { "description": "Range not satisfiable." };
+                    headers["Content-Type"] = "application/json";
+                } else {
+                    status = 206;
+                    headers["Content-Range"] = "bytes " + offset + "-" + (body.length - 1) + "/" + body.length;
+                    body = body.subarray(offset);
+                }
+            }
+            const data = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+            headers["Content-Length"] = data.length;
+            resp.writeHead(status, headers);
+            resp.end(data);
+        });
+    }
+
+    /**
+     * Routes a request to the batches and experiments.
+     * @param {string} method - The HTTP method of the request.
+     * @param {string} requestUrl - The URL of the request, including the query.
+     * @param {object} headers - The request headers.
+     * @param {string} data - The request body.
+     * @returns {object|Buffer} The response, JSON objects or the content of a log.
+     * @throws {Error} An error with the statusCode of the response.
+     */
+    route(method, requestUrl, headers, data) {
+        const url = new URL(requestUrl, "http://localhost/");
+        const parts = url.pathname.split("/").filter(part => part);
+        const query = Object.fromEntries(url.searchParams);
+
+        let body = undefined;
+        if (data) {
+            try {
+                body = JSON.parse(data);
+            } catch (err) {
+                throw MockAgency.createError(400, "Invalid JSON: " + err.message);
+            }
+        }
+        this.requests.push({ "method": method, "path": url.pathname, "query": query, "body": body });
+
+        const username = this.authenticate(headers.authorization);
+        if (method == "POST" && parts.length == 1 && parts[0] == "red") {
+            if (!body || typeof body != "object") {
+                throw MockAgency.createError(400, "The RED is missing.");
+            }
+            return this.submit(body, username);
+        }
+        if (method == "GET" && parts.length == 1 && parts[0] == "batches") {
+            return this.listBatches(query);
+        }
+        if (parts[0] == "batches" && this.batches.has(parts[1])) {
+            const batch = this.batches.get(parts[1]);
+            if (method == "GET" && parts.length == 2) {
+                return MockAgency.getBatchDocument(batch);
+            }
+            if (method == "DELETE" && parts.length == 2) {
+                return this.cancel(batch);
+            }
+            if (method == "GET" && parts.length == 3 && ["stdout", "stderr"].includes(parts[2])) {
+                if (batch[parts[2]] === undefined) {
+                    throw MockAgency.createError(404, "The " + parts[2] + " of batch " + batch.id + " does not exist.");
+                }
+                return Buffer.from(batch[parts[2]]);
+            }
+        }
+        if (method == "GET" && parts[0] == "experiments") {
+            if (parts.length == 1) {
+                const skip = Number(query.skip) || 0;
+                return Array.from(this.experiments.values())
+                    .filter(experiment => !query.username || experiment.username == query.username)
+                    .map(MockAgency.getExperimentDocument)
+                    .slice(skip, query.limit ? skip + Number(query.limit) : undefined);
+            }
+            if (parts.length == 2 && this.experiments.has(parts[1])) {
+                return MockAgency.getExperimentDocument(this.experiments.get(parts[1]));
+            }
+        }
+        throw MockAgency.createError(404, "Not found.");
+    }
+
+    /**
+     * Checks the basic authentication of a request.
+     * @param {string} authorization - The Authorization header.
+     * @returns {string} The username.
+     * @throws {Error} An error with statusCode 401 if the credentials are missing or wrong.
+     */
+    authenticate(authorization) {
+        const match = /^Basic\s+(.+)$/i.exec(authorization || "");
+        const credentials = match ? Buffer.from(match[1], "base64").toString() : "";
+        const separator = credentials.indexOf(":");
+        const username = credentials.slice(0, separator);
+        if (separator < 0 || username != this.options.username || credentials.slice(separator + 1) != this.options.password) {
+            throw MockAgency.createError(401, "Could not verify your access level for that URL.");
+        }
+        return username;
+    }
+
+    /**
+     * Normalizes the steps of a script to objects with a state.
+     * @param {object[]|string[]} steps - The steps.
+     * @returns {object[]} The normalized steps.
+     * @throws {Error} If a step has an unknown state.
+     */
+    static normalizeSteps(steps) {
+        return (steps || []).map(step => {
+            const normalized = typeof step == "string" ? { "state": step } : Object.assign({}, step);
+            if (!STATES.includes(normalized.state)) {
+                throw new Error('Unknown batch state ' + normalized.state + '! Known states are ' + STATES.join(', ') + '.');
+            }
+            return normalized;
+        });
+    }
+
+    /**
+     * Creates the error for a response with an error status code.
+     * @param {number} statusCode - The status code of the response.
+     * @param {string} description - The description of the error.
+     * @returns {Error} The error with the statusCode.
+     */
+    static createError(statusCode, description) {
+        let error = new Error(description);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Returns the document of a batch as returned by the cc-agency.
+     * @param {object} batch - The batch.
+     * @returns {object} The batch document.
+     */
+    static getBatchDocument(batch) {
+        return {
+            "_id": batch.id,
+            "experimentId": batch.experimentId,
+            "batchesListIndex": batch.index,
+            "username": batch.username,
+            "registrationTime": batch.registrationTime,
+            "state": batch.state,
+            "node": batch.node,
+            "history": batch.history.map(historyElement => Object.assign({}, historyElement)),
+        };
+    }
+
+    /**
+     * Returns the document of an experiment as returned by the cc-agency.
+     * @param {object} experiment - The experiment.
+     * @returns {object} The experiment document.
+     */
+    static getExperimentDocument(experiment) {
+        return Object.assign({}, experiment.red, {
+            "_id": experiment.id,
+            "username": experiment.username,
+            "registrationTime": experiment.registrationTime,
+        });
+    }
+
+}
+
+module.exports = {
+    MockAgency: MockAgency
+}
@@ -0,0 +1,319 @@
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The default allocator options.
+ */
+const DEFAULT_OPTIONS = {
+    "leaseDir": path.join(os.tmpdir(), "cc-api-ports"),
+    "leaseTime": 24 * 60 * 60 * 1000,
+    "lockTimeout": 10000,
+    "recheckInterval": 30000,
+};
+
+/**
+ * Allocates ports from a range for multiple processes on the same host.
+ * Every allocated port is recorded as lease file in a shared lease directory. A lease expires after the lease time
+ * or when the process holding it is no longer running. Ports that are in use on the host are skipped.
+ * Waiting requests are served in FIFO order and are woken up when a lease is released,
+ * ports blocked outside of the allocator are checked again after the recheck interval.
+ * @class
+ */
+class PortAllocator {
+
+    /**
+     * Creates a new instance of PortAllocator.
+     * @constructor
+     * @param {number} firstPort - The first port in the range.
+     * @param {number} lastPort - The last port in the range.
+     * @param {object} [options] - The allocator options.
+     * @param {string} [options.leaseDir] - The directory shared by all processes, by default cc-api-ports in the temp directory.
+     * @param {number} [options.leaseTime=86400000] - The time in milliseconds after which a lease expires, see renew().
+     * @param {number} [options.lockTimeout=10000] - The time in milliseconds after which the lock of a crashed process is broken.
+     * @param {number} [options.recheckInterval=30000] - The time in milliseconds after which waiting requests check the ports again.
+     * @throws {Error} If the port range is invalid.
+     */
+    constructor(firstPort, lastPort, options = {}) {
+        if (!(firstPort <= lastPort)) {
+            throw new Error('Invalid port range ' + firstPort + '-' + lastPort + '!');
+        }
+        this.firstPort = firstPort;
+        this.lastPort = lastPort;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this.leaseDir = this.options.leaseDir;
+
+        this.waiting = [];
+        this.processing = false;
+        this.pending = false;
+    }
+
+    /**
+     * Allocates a free port. If all ports are taken, the request waits until a port is released.
+     * @param {object} [options] - The request options.
+     * @param {number} [options.timeout] - The maximum waiting time in milliseconds, by default the request waits forever.
+     * @returns {Promise<number>} A promise that resolves with the allocated port.
+     *                            Rejects if no port was free within the timeout.
+     */
+    async acquire(options = {}) {
+        if (this.waiting.length == 0) {
+            const port = await this.tryAcquire();
+            if (port !== undefined) {
+                return port;
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            let request = { "resolve": resolve, "reject": reject };
+            if (options.timeout) {
+                request.timer = setTimeout(() => {
+                    this.waiting = this.waiting.filter(waiting => waiting !== request);
+                    this.updateWaiting();
+                    reject(new Error('No port of ' + this.firstPort + '-' + this.lastPort + ' was free within ' + options.timeout + ' ms!'));
+                }, options.timeout);
+            }
+            this.waiting.push(request);
+            this.updateWaiting();
+            this.processWaiting();
+        });
+    }
+
+    /**
+     * Releases an allocated port and hands it to the next waiting request.
+     * Leases of other processes are only removed if they are expired.
+     * @param {number} port - The port to release.
+     * @returns {Promise} A promise that resolves when the port is released.
+     */
+    async release(port) {
+        await this.withLock(async () => {
+            const lease = await this.readLease(port);
+            if (lease && (this.isOwnLease(lease) || this.isExpired(lease))) {
+                await fs.promises.unlink(this.getLeaseFile(port)).catch(() => { });
+            }
+        });
+        this.processWaiting();
+    }
+
+    /**
+     * Extends the lease of an allocated port by the lease time.
+     * @param {number} port - The allocated port.
+     * @returns {Promise<boolean>} A promise that resolves with true if the lease was extended,
+     *                             false if the port is not allocated by this process.
+     */
+    async renew(port) {
+        return this.withLock(async () => {
+            const lease = await this.readLease(port);
+            if (!lease || !this.isOwnLease(lease)) {
+                return false;
+            }
+            await this.writeLease(port);
+            return true;
+        });
+    }
+
+    /**
+     * Allocates the first port that has no valid lease and is free on the host.
+     * @returns {Promise<number|undefined>} A promise that resolves with the port or undefined if all ports are taken.
+     */
+    async tryAcquire() {
+        return this.withLock(async () => {
+            for (let port = this.firstPort; port <= this.lastPort; port++) {
+                const lease = await this.readLease(port);
+                if (lease && !this.isExpired(lease)) {
+                    continue;
+                }
+                if (!(await PortAllocator.isPortFree(port))) {
+                    continue;
+                }
+                await this.writeLease(port);
+                return port;
+            }
+            return undefined;
+        });
+    }
+
+    /**
+     * Serves the waiting requests in FIFO order as long as ports are free.
+     */
+    async processWaiting() {
+        if (this.processing) {
+            this.pending = true;
+            return;
+        }
+        this.processing = true;
+        try {
+            do {
+                this.pending = false;
+                while (this.waiting.length > 0) {
+                    const port = await this.tryAcquire();
+                    if (port === undefined) {
+                        break;
+                    }
+                    const request = this.waiting.shift();
+                    if (!request) {
+                        await this.release(port);
+                        break;
+                    }
+                    clearTimeout(request.timer);
+                    request.resolve(port);
+                }
+            } while (this.pending && this.waiting.length > 0);
+        } catch (err) {
+            const request = this.waiting.shift();
+            if (request) {
+                clearTimeout(request.timer);
+                request.reject(err);
+            }
+        } finally {
+            this.processing = false;
+            this.updateWaiting();
+        }
+    }
+
+    /**
+     * Watches the lease directory while requests are waiting and stops watching when none are left.
+     */
+    updateWaiting() {
+        if (this.waiting.length == 0) {
+            if (this.watcher) {
+                this.watcher.close();
+                this.watcher = undefined;
+            }
+            clearInterval(this.recheckTimer);
+            this.recheckTimer = undefined;
+            return;
+        }
+
+        if (!this.watcher) {
+            try {
+                fs.mkdirSync(this.leaseDir, { "recursive": true });
+                this.watcher = fs.watch(this.leaseDir, (eventType, filename) => {
+                    if (!filename || filename.endsWith(".lease")) {
+                        this.processWaiting();
+                    }
+                });
+            } catch (err) {
+                // Without watching, waiting requests are only served by releases of this process and the recheck.
+            }
+        }
+        if (!this.recheckTimer) {
+            this.recheckTimer = setInterval(() => this.processWaiting(), this.options.recheckInterval);
+        }
+    }
+
+    /**
+     * Runs a function while holding the lock of the lease directory.
+     * @param {function} fn - The async function to run.
+     * @returns {Promise<*>} A promise that resolves with the result of the function.
+     */
+    async withLock(fn) {
+        await fs.promises.mkdir(this.leaseDir, { "recursive": true });
+        const lockDir = path.join(this.leaseDir, "lock");
+        for (;;) {
+            try {
+                await fs.promises.mkdir(lockDir);
+                break;
+            } catch (err) {
+                if (err.code != "EEXIST") {
+                    throw err;
+                }
+            }
+            const stat = await fs.promises.stat(lockDir).catch(() => undefined);
+            if (stat && Date.now() - stat.mtimeMs > this.options.lockTimeout) {
+                await fs.promises.rmdir(lockDir).catch(() => { });
+                continue;
+            }
+            await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 40));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.promises.rmdir(lockDir).catch(() => { });
+        }
+    }
+
+    /**
+     * Returns the path of the lease file of a port.
+     * @param {number} port - The port.
+     * @returns {string} The path of the lease file.
+     */
+    getLeaseFile(port) {
+        return path.join(this.leaseDir, port + ".lease");
+    }
+
+    /**
+     * Reads the lease of a port.
+     * @param {number} port - The port.
+     * @returns {Promise<object|undefined>} A promise that resolves with the lease or undefined if the port is not leased.
+     */
+    async readLease(port) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.getLeaseFile(port), "utf8"));
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Writes the lease of a port for this process.
+     * @param {number} port - The port.
+     * @returns {Promise} A promise that resolves when the lease is written.
+     */
+    async writeLease(port) {
+        const lease = {
+            "pid": process.pid,
+            "hostname": os.hostname(),
+            "expires": Date.now() + this.options.leaseTime,
+        };
+        await fs.promises.writeFile(this.getLeaseFile(port), JSON.stringify(lease));
+    }
+
+    /**
+     * Checks whether a lease belongs to this process.
+     * @param {object} lease - The lease.
+     * @returns {boolean} True if the lease belongs to this process.
+     */
+    isOwnLease(lease) {
+        return lease.pid == process.pid && lease.hostname == os.hostname();
+    }
+
+    /**
+     * Checks whether a lease expired or the process holding it is no longer running.
+     * @param {object} lease - The lease.
+     * @returns {boolean} True if the lease is no longer valid.
+     */
+    isExpired(lease) {
+        if (!(lease.expires > Date.now())) {
+            return true;
+        }
+        if (lease.hostname != os.hostname()) {
+            return false;
+        }
+        try {
+            process.kill(lease.pid, 0);
+            return false;
+        } catch (err) {
+            return err.code != "EPERM";
+        }
+    }
+
+    /**
+     * Checks whether a port is free on the host by listening on it.
+     * @param {number} port - The port.
+     * @returns {Promise<boolean>} A promise that resolves with true if the port is free.
+     */
+    static isPortFree(port) {
+        return new Promise(resolve => {
+            const server = net.createServer();
+            server.once("error", () => resolve(false));
+            server.listen(port, () => server.close(() => resolve(true)));
+        });
+    }
+
+}
+
+module.exports = {
+    PortAllocator: PortAllocator
+}
@@ -0,0 +1,801 @@
+/**
+ * The CWL types of inputs that are described by a connector in the RED inputs.
+ */
+const CONNECTOR_TYPES = ["File", "Directory"];
+
+/**
+ * The CWL types of outputs that capture the standard streams of the experiment.
+ */
+const STREAM_TYPES = ["stdout", "stderr"];
+
+/**
+ * The supported execution engines.
+ */
+const EXECUTION_ENGINES = ["ccagency", "ccfaice"];
+
+/**
+ * The archive formats of directories transferred by the HTTP connector.
+ */
+const HTTP_ARCHIVE_FORMATS = ["zip", "tar", "gztar", "bztar", "xztar"];
+
+/**
+ * The container types of XNAT resources.
+ */
+const XNAT_CONTAINER_TYPES = ["scans", "reconstructions", "assessors"];
+
+/**
+ * Validates RED documents against the redVersion 9 schema.
+ * Every error is reported with the JSON path of the invalid value, e.g. "$.container.settings.ram".
+ * @class
+ */
+class REDValidator {
+
+    /**
+     * Creates a new instance of REDValidator.
+     * @constructor
+     * @param {object} red - The RED Json object to validate.
+     */
+    constructor(red) {
+        this.red = red;
+        this.errors = [];
+    }
+
+    /**
+     * The validators of the access information of connectors by connector command, registered by CCConnector.register()
+     * for the built-in and custom connector classes.
+     * Every validator takes the access object and returns errors with a path relative to it and a message.
+     */
+    static connectorValidators = new Map();
+
+    /**
+     * Registers the validator of the access information for a connector command.
+     * @param {string} command - The connector command.
+     * @param {function} validateAccess - The validator, taking the access object and returning errors with path and message.
+     */
+    static registerConnectorValidator(command, validateAccess) {
+        REDValidator.connectorValidators.set(command, validateAccess);
+    }
+
+    /**
+     * Validates an input value against the CWL type of its cli input.
+     * @param {*} type - The CWL type, e.g. "int", "File?", "string[]" or an enum type.
+     * @param {*} value - The value to validate. File and Directory values are objects with class and connector.
+     * @param {string} [path="$"] - The JSON path of the value.
+     * @returns {object[]} The validation errors with path and message. Empty if the value is valid.
+     */
+    static validateInputValue(type, value, path = "$") {
+        let validator = new REDValidator();
+        validator.validateValue(value, type, path);
+        return validator.errors;
+    }
+
+    /**
+     * Validates a RED Json object.
+     * @param {object} red - The RED Json object to validate.
+     * @returns {object[]} The validation errors with path and message. Empty if the RED is valid.
+     */
+    static validate(red) {
+        return new REDValidator(red).validate();
+    }
+
+    /**
+     * Validates the RED Json object of this validator.
+     * @returns {object[]} The validation errors with path and message. Empty if the RED is valid.
+     */
+    validate() {
+        this.errors = [];
+        if (!isObject(this.red)) {
+            this.addError("$", "must be an object");
+            return this.errors;
+        }
+        if (this.red.redVersion !== "9") {
+            this.addError("$.redVersion", 'must be "9"');
+        }
+
+        this.validateCli();
+        if (this.red.batches !== undefined) {
+            this.validateBatches();
+        } else {
+            this.validateInputs(this.red.inputs, "$.inputs");
+            this.validateOutputs(this.red.outputs, "$.outputs");
+        }
+        this.validateContainer();
+        this.validateExecution();
+        return this.errors;
+    }
+
+    /**
+     * Adds a validation error.
+     * @param {string} path - The JSON path of the invalid value.
+     * @param {string} message - The description of the error.
+     */
+    addError(path, message) {
+        this.errors.push({ "path": path, "message": message });
+    }
+
+    /**
+     * Returns the cli inputs or outputs of the RED, or an empty object if they are invalid.
+     * @param {string} section - "inputs" or "outputs".
+     * @returns {object} The cli inputs or outputs.
+     */
+    getCliSection(section) {
+        const cli = this.red.cli;
+        return isObject(cli) && isObject(cli[section]) ? cli[section] : {};
+    }
+
+    /**
+     * Validates the cli section.
+     */
+    validateCli() {
+        const cli = this.red.cli;
+        if (!isObject(cli)) {
+            this.addError("$.cli", "must be an object");
+            return;
+        }
+        if (cli.cwlVersion !== "v1.0") {
+            this.addError("$.cli.cwlVersion", 'must be "v1.0"');
+        }
+        if (cli["class"] !== "CommandLineTool") {
+            this.addError("$.cli.class", 'must be "CommandLineTool"');
+        }
+        if (!isNonEmptyString(cli.baseCommand)
+            && !(Array.isArray(cli.baseCommand) && cli.baseCommand.length > 0 && cli.baseCommand.every(isNonEmptyString))) {
+            this.addError("$.cli.baseCommand", "must be a non-empty string or array of strings");
+        }
+        for (const stream of STREAM_TYPES) {
+            if (cli[stream] !== undefined && !isNonEmptyString(cli[stream])) {
+                this.addError("$.cli." + stream, "must be a non-empty string");
+            }
+        }
+
+        if (!isObject(cli.inputs)) {
+            this.addError("$.cli.inputs", "must be an object");
+        } else {
+            let positions = {};
+            for (const [name, input] of Object.entries(cli.inputs)) {
+                const path = joinPath("$.cli.inputs", name);
+                if (!isObject(input)) {
+                    this.addError(path, "must be an object");
+                    continue;
+                }
+                this.validateCliType(input.type, path + ".type");
+                if (input.inputBinding === undefined) {
+                    continue;
+                }
+                if (!isObject(input.inputBinding)) {
+                    this.addError(path + ".inputBinding", "must be an object");
+                    continue;
+                }
+                for (const field of ["prefix", "itemSeparator"]) {
+                    if (input.inputBinding[field] !== undefined && typeof input.inputBinding[field] != "string") {
+                        this.addError(path + ".inputBinding." + field, "must be a string");
+                    }
+                }
+                if (input.inputBinding.separate !== undefined && typeof input.inputBinding.separate != "boolean") {
+                    this.addError(path + ".inputBinding.separate", "must be a boolean");
+                }
+                const position = input.inputBinding.position;
+                if (position === undefined) {
+                    continue;
+                }
+                if (!Number.isInteger(position) || position < 0) {
+                    this.addError(path + ".inputBinding.position", "must be a non-negative integer");
+                } else if (positions[position] !== undefined) {
+                    this.addError(path + ".inputBinding.position",
+                        "position " + position + ' is already used by input "' + positions[position] + '"');
+                } else {
+                    positions[position] = name;
+                }
+            }
+        }
+
+        if (!isObject(cli.outputs)) {
+            this.addError("$.cli.outputs", "must be an object");
+        } else {
+            for (const [name, output] of Object.entries(cli.outputs)) {
+                const path = joinPath("$.cli.outputs", name);
+                if (!isObject(output)) {
+                    this.addError(path, "must be an object");
+                    continue;
+                }
+                this.validateCliType(output.type, path + ".type");
+                const glob = isObject(output.outputBinding) ? output.outputBinding.glob : undefined;
+                if (STREAM_TYPES.includes(output.type)) {
+                    if (glob !== undefined) {
+                        this.addError(path + ".outputBinding.glob", "must not be set for " + output.type + " outputs");
+                    }
+                } else if (CONNECTOR_TYPES.includes(baseType(output.type)) && !isNonEmptyString(glob)
+                    && !(Array.isArray(glob) && glob.length > 0 && glob.every(isNonEmptyString))) {
+                    this.addError(path + ".outputBinding.glob",
+                        "must be a non-empty string or array of strings for " + output.type + " outputs");
+                }
+                if (output.secondaryFiles !== undefined && (baseType(output.type) != "File"
+                    || !Array.isArray(output.secondaryFiles) || !output.secondaryFiles.every(isNonEmptyString))) {
+                    this.addError(path + ".secondaryFiles", "must be an array of strings and is only allowed for File outputs");
+                }
+            }
+        }
+    }
+
+    /**
+     * Validates a CWL type of the cli section.
+     * @param {*} type - The type to validate.
+     * @param {string} path - The JSON path of the type.
+     */
+    validateCliType(type, path) {
+        if (Array.isArray(type)) {
+            if (type.length == 0) {
+                this.addError(path, "must be a non-empty array of CWL types");
+            }
+            type.forEach((item, index) => this.validateCliType(item, path + "[" + index + "]"));
+            return;
+        }
+        if (!isObject(type)) {
+            if (!isNonEmptyString(type)) {
+                this.addError(path, "must be a CWL type");
+            }
+            return;
+        }
+
+        if (!isNonEmptyString(type.type)) {
+            this.addError(path + ".type", "must be a non-empty string");
+        } else if (type.type == "enum") {
+            if (!Array.isArray(type.symbols) || type.symbols.length == 0 || !type.symbols.every(isNonEmptyString)) {
+                this.addError(path + ".symbols", "must be a non-empty array of strings");
+            }
+        } else if (type.type == "array") {
+            if (type.items === undefined) {
+                this.addError(path + ".items", "must be set for array types");
+            } else {
+                this.validateCliType(type.items, path + ".items");
+            }
+        }
+    }
+
+    /**
+     * Validates the inputs and outputs of every batch.
+     */
+    validateBatches() {
+        if (this.red.inputs !== undefined || this.red.outputs !== undefined) {
+            this.addError("$", "must not contain inputs or outputs next to batches");
+        }
+        if (!Array.isArray(this.red.batches) || this.red.batches.length == 0) {
+            this.addError("$.batches", "must be a non-empty array");
+            return;
+        }
+        this.red.batches.forEach((batch, index) => {
+            const path = "$.batches[" + index + "]";
+            if (!isObject(batch)) {
+                this.addError(path, "must be an object");
+                return;
+            }
+            this.validateInputs(batch.inputs, path + ".inputs");
+            this.validateOutputs(batch.outputs, path + ".outputs");
+        });
+    }
+
+    /**
+     * Validates the input values against the cli inputs.
+     * @param {object} inputs - The input values.
+     * @param {string} path - The JSON path of the input values.
+     */
+    validateInputs(inputs, path) {
+        if (!isObject(inputs)) {
+            this.addError(path, "must be an object");
+            return;
+        }
+
+        const cliInputs = this.getCliSection("inputs");
+        for (const [name, cliInput] of Object.entries(cliInputs)) {
+            if (isObject(cliInput) && inputs[name] === undefined && !isOptional(cliInput.type)) {
+                this.addError(joinPath(path, name), 'is missing, the cli input "' + name + '" requires a value');
+            }
+        }
+        for (const [name, value] of Object.entries(inputs)) {
+            const valuePath = joinPath(path, name);
+            const cliInput = cliInputs[name];
+            if (!isObject(cliInput)) {
+                this.addError(valuePath, 'has no matching cli input "' + name + '"');
+                continue;
+            }
+            this.validateValue(value, cliInput.type, valuePath);
+        }
+    }
+
+    /**
+     * Validates an input value against a CWL type. Types that are not known, e.g. records, are not checked.
+     * @param {*} value - The value to validate.
+     * @param {*} type - The CWL type.
+     * @param {string} path - The JSON path of the value.
+     */
+    validateValue(value, type, path) {
+        if (value === null) {
+            if (!isOptional(type)) {
+                this.addError(path, "must not be null, the type is not optional");
+            }
+            return;
+        }
+
+        type = baseType(type);
+        const items = itemType(type);
+        if (items !== undefined) {
+            if (!Array.isArray(value)) {
+                this.addError(path, "must be an array");
+                return;
+            }
+            value.forEach((item, index) => this.validateValue(item, items, path + "[" + index + "]"));
+        } else if (isObject(type) && type.type == "enum") {
+            const symbols = Array.isArray(type.symbols) ? type.symbols : [];
+            if (!symbols.includes(value)) {
+                this.addError(path, "must be one of " + symbols.join(", "));
+            }
+        } else if (CONNECTOR_TYPES.includes(type)) {
+            this.validateConnectorValue(value, type, path);
+        } else if (type == "string" && typeof value != "string") {
+            this.addError(path, "must be a string");
+        } else if ((type == "int" || type == "long") && !Number.isInteger(value)) {
+            this.addError(path, "must be an integer");
+        } else if ((type == "float" || type == "double") && typeof value != "number") {
+            this.addError(path, "must be a number");
+        } else if (type == "boolean" && typeof value != "boolean") {
+            this.addError(path, "must be a boolean");
+        }
+    }
+
+    /**
+     * Validates the output values against the cli outputs.
+     * @param {object} outputs - The output values.
+     * @param {string} path - The JSON path of the output values.
+     */
+    validateOutputs(outputs, path) {
+        if (outputs === undefined) {
+            return;
+        }
+        if (!isObject(outputs)) {
+            this.addError(path, "must be an object");
+            return;
+        }
+
+        const cliOutputs = this.getCliSection("outputs");
+        for (const [name, value] of Object.entries(outputs)) {
+            const valuePath = joinPath(path, name);
+            const cliOutput = cliOutputs[name];
+            if (!isObject(cliOutput)) {
+                this.addError(valuePath, 'has no matching cli output "' + name + '"');
+                continue;
+            }
+            if (value === null && isOptional(cliOutput.type)) {
+                continue;
+            }
+            const type = baseType(cliOutput.type);
+            if (CONNECTOR_TYPES.includes(type)) {
+                this.validateConnectorValue(value, type, valuePath);
+            } else if (STREAM_TYPES.includes(type)) {
+                this.validateConnectorValue(value, "File", valuePath);
+            }
+        }
+    }
+
+    /**
+     * Validates an input or output value that is described by a connector.
+     * @param {*} value - The value to validate.
+     * @param {string} [type] - The expected class of the value.
+     * @param {string} path - The JSON path of the value.
+     */
+    validateConnectorValue(value, type, path) {
+        if (!isObject(value)) {
+            this.addError(path, "must be an object with class and connector");
+            return;
+        }
+        if (type !== undefined && value["class"] !== type) {
+            this.addError(path + ".class", 'must be "' + type + '"');
+        }
+        this.validateConnector(value.connector, path + ".connector");
+    }
+
+    /**
+     * Validates a connector.
+     * @param {*} connector - The connector to validate.
+     * @param {string} path - The JSON path of the connector.
+     */
+    validateConnector(connector, path) {
+        if (!isObject(connector)) {
+            this.addError(path, "must be an object");
+            return;
+        }
+        if (!isNonEmptyString(connector.command)) {
+            this.addError(path + ".command", "must be a non-empty string");
+        }
+        if (!isObject(connector.access)) {
+            this.addError(path + ".access", "must be an object");
+        } else if (REDValidator.connectorValidators.has(connector.command)) {
+            for (const error of REDValidator.connectorValidators.get(connector.command)(connector.access)) {
+                this.addError(path + ".access" + (error.path ? "." + error.path : ""), error.message);
+            }
+        }
+        if (connector.mount !== undefined && typeof connector.mount != "boolean") {
+            this.addError(path + ".mount", "must be a boolean");
+        }
+    }
+
+    /**
+     * Validates the container section.
+     */
+    validateContainer() {
+        const container = this.red.container;
+        if (!isObject(container)) {
+            this.addError("$.container", "must be an object");
+            return;
+        }
+        if (container.engine !== "docker") {
+            this.addError("$.container.engine", 'must be "docker"');
+        }
+        const settings = container.settings;
+        if (!isObject(settings)) {
+            this.addError("$.container.settings", "must be an object");
+            return;
+        }
+        if (!isObject(settings.image) || !isNonEmptyString(settings.image.url)) {
+            this.addError("$.container.settings.image.url", "must be a non-empty string");
+        } else {
+            const image = settings.image;
+            if (image.url.includes("@") && !/@sha256:[0-9a-f]{64}$/.test(image.url)) {
+                this.addError("$.container.settings.image.url", "must end with a sha256 digest if it contains @");
+            }
+            if (image.auth !== undefined) {
+                if (!isObject(image.auth)) {
+                    this.addError("$.container.settings.image.auth", "must be an object");
+                } else {
+                    for (const field of ["username", "password"]) {
+                        if (!isNonEmptyString(image.auth[field])) {
+                            this.addError("$.container.settings.image.auth." + field, "must be a non-empty string");
+                        }
+                    }
+                }
+            }
+        }
+        if (typeof settings.ram != "number" || !(settings.ram > 0)) {
+            this.addError("$.container.settings.ram", "must be a positive number");
+        }
+        if (settings.gpus === undefined) {
+            return;
+        }
+        if (!isObject(settings.gpus)) {
+            this.addError("$.container.settings.gpus", "must be an object");
+            return;
+        }
+        if (!isNonEmptyString(settings.gpus.vendor)) {
+            this.addError("$.container.settings.gpus.vendor", "must be a non-empty string");
+        }
+        if ((settings.gpus.count === undefined) == (settings.gpus.devices === undefined)) {
+            this.addError("$.container.settings.gpus", "must contain either count or devices");
+            return;
+        }
+        if (settings.gpus.count !== undefined) {
+            if (!Number.isInteger(settings.gpus.count) || settings.gpus.count < 1) {
+                this.addError("$.container.settings.gpus.count", "must be a positive integer");
+            }
+            return;
+        }
+        if (!Array.isArray(settings.gpus.devices)) {
+            this.addError("$.container.settings.gpus.devices", "must be an array");
+            return;
+        }
+        settings.gpus.devices.forEach((device, index) => {
+            const path = "$.container.settings.gpus.devices[" + index + "]";
+            if (!isObject(device)) {
+                this.addError(path, "must be an object");
+            } else if (device.vramMin !== undefined && (typeof device.vramMin != "number" || !isFinite(device.vramMin))) {
+                this.addError(path + ".vramMin", "must be a number");
+            }
+        });
+    }
+
+    /**
+     * Validates the execution section.
+     */
+    validateExecution() {
+        const execution = this.red.execution;
+        if (execution === undefined) {
+            return;
+        }
+        if (!isObject(execution)) {
+            this.addError("$.execution", "must be an object");
+            return;
+        }
+        if (!EXECUTION_ENGINES.includes(execution.engine)) {
+            this.addError("$.execution.engine", "must be one of " + EXECUTION_ENGINES.join(", "));
+            return;
+        }
+        if (execution.settings !== undefined && !isObject(execution.settings)) {
+            this.addError("$.execution.settings", "must be an object");
+            return;
+        }
+        const settings = execution.settings || {};
+        if (settings.outdir !== undefined && !isNonEmptyString(settings.outdir)) {
+            this.addError("$.execution.settings.outdir", "must be a non-empty string");
+        }
+        if (execution.engine == "ccfaice") {
+            for (const field of ["access", "retryIfFailed", "batchConcurrencyLimit"]) {
+                if (settings[field] !== undefined) {
+                    this.addError("$.execution.settings." + field, "is not supported by the ccfaice engine");
+                }
+            }
+            return;
+        }
+
+        if (settings.retryIfFailed !== undefined && typeof settings.retryIfFailed != "boolean") {
+            this.addError("$.execution.settings.retryIfFailed", "must be a boolean");
+        }
+        if (settings.batchConcurrencyLimit !== undefined
+            && (!Number.isInteger(settings.batchConcurrencyLimit) || settings.batchConcurrencyLimit < 1)) {
+            this.addError("$.execution.settings.batchConcurrencyLimit", "must be a positive integer");
+        }
+        const access = settings.access;
+        if (!isObject(access)) {
+            this.addError("$.execution.settings.access", "must be an object");
+            return;
+        }
+        if (!isNonEmptyString(access.url) || !isValidUrl(access.url)) {
+            this.addError("$.execution.settings.access.url", "must be a valid URL");
+        }
+        if (!isObject(access.auth)) {
+            this.addError("$.execution.settings.access.auth", "must be an object");
+            return;
+        }
+        for (const field of ["username", "password"]) {
+            if (!isNonEmptyString(access.auth[field])) {
+                this.addError("$.execution.settings.access.auth." + field, "must be a non-empty string");
+            }
+        }
+    }
+
+}
+
+/**
+ * Validates the access information of the HTTP connector.
+ * @param {object} access - The access information.
+ * @returns {object[]} The errors with a path relative to the access information and a message.
+ */
+function validateHTTPAccess(access) {
+    let errors = [];
+    if (!isNonEmptyString(access.url) || !/^https?:\/\//i.test(access.url) || !isValidUrl(access.url)) {
+        errors.push({ "path": "url", "message": "must be a valid http:// or https:// URL" });
+    }
+    if (access.method !== undefined && !isNonEmptyString(access.method)) {
+        errors.push({ "path": "method", "message": "must be a non-empty string" });
+    }
+    if (access.disableSSLVerification !== undefined && typeof access.disableSSLVerification != "boolean") {
+        errors.push({ "path": "disableSSLVerification", "message": "must be a boolean" });
+    }
+    if (access.headers !== undefined) {
+        if (!isObject(access.headers)) {
+            errors.push({ "path": "headers", "message": "must be an object" });
+        } else {
+            for (const [name, value] of Object.entries(access.headers)) {
+                if (typeof value != "string") {
+                    errors.push({ "path": joinPath("headers", name), "message": "must be a string" });
+                }
+            }
+        }
+    }
+    if (access.auth !== undefined) {
+        if (!isObject(access.auth)) {
+            errors.push({ "path": "auth", "message": "must be an object" });
+        } else {
+            if (access.auth.privateKey !== undefined) {
+                errors.push({ "path": "auth.privateKey", "message": "is not supported by HTTP, use basic or digest auth" });
+            }
+            for (const field of ["username", "password"]) {
+                if (typeof access.auth[field] != "string") {
+                    errors.push({ "path": "auth." + field, "message": "must be a string" });
+                }
+            }
+            if (access.auth.method !== undefined && !["BASIC", "DIGEST"].includes(access.auth.method)) {
+                errors.push({ "path": "auth.method", "message": 'must be "BASIC" or "DIGEST"' });
+            }
+        }
+    }
+    if (access.archiveFormat !== undefined && !HTTP_ARCHIVE_FORMATS.includes(access.archiveFormat)) {
+        errors.push({ "path": "archiveFormat", "message": "must be one of " + HTTP_ARCHIVE_FORMATS.join(", ") });
+    }
+    return errors;
+}
+
+/**
+ * Validates the access information of the FTP connector.
+ * @param {object} access - The access information.
+ * @returns {object[]} The errors with a path relative to the access information and a message.
+ */
+function validateFTPAccess(access) {
+    let errors = [];
+    if ((access.url === undefined) == (access.dirUrl === undefined)) {
+        errors.push({ "path": "url", "message": "either url (file) or dirUrl (directory) must be set" });
+    }
+    for (const field of ["url", "dirUrl"]) {
+        if (access[field] !== undefined && (!isNonEmptyString(access[field]) || !/^ftps?:\/\//i.test(access[field]) || !isValidUrl(access[field]))) {
+            errors.push({ "path": field, "message": "must be a valid ftp:// or ftps:// URL" });
+        }
+    }
+    for (const field of ["tls", "passive"]) {
+        if (access[field] !== undefined && typeof access[field] != "boolean") {
+            errors.push({ "path": field, "message": "must be a boolean" });
+        }
+    }
+    if (access.auth !== undefined) {
+        if (!isObject(access.auth)) {
+            errors.push({ "path": "auth", "message": "must be an object" });
+        } else {
+            if (access.auth.privateKey !== undefined) {
+                errors.push({ "path": "auth.privateKey", "message": "is not supported by FTP, use a password" });
+            }
+            for (const field of ["username", "password"]) {
+                if (typeof access.auth[field] != "string" || (field == "username" && access.auth[field] == "")) {
+                    errors.push({ "path": "auth." + field, "message": "must be a " + (field == "username" ? "non-empty " : "") + "string" });
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates the access information of the S3 connector.
+ * @param {object} access - The access information.
+ * @returns {object[]} The errors with a path relative to the access information and a message.
+ */
+function validateS3Access(access) {
+    let errors = [];
+    if (!isNonEmptyString(access.bucket) || !/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(access.bucket)) {
+        errors.push({ "path": "bucket", "message": "must be a valid bucket name" });
+    }
+    if ((access.key === undefined) == (access.prefix === undefined)) {
+        errors.push({ "path": "key", "message": "either key (file) or prefix (directory) must be set" });
+    } else if (access.key !== undefined && !isNonEmptyString(access.key)) {
+        errors.push({ "path": "key", "message": "must be a non-empty string" });
+    } else if (access.prefix !== undefined && typeof access.prefix != "string") {
+        errors.push({ "path": "prefix", "message": "must be a string" });
+    }
+    if (access.endpointUrl !== undefined && (!isNonEmptyString(access.endpointUrl) || !isValidUrl(access.endpointUrl))) {
+        errors.push({ "path": "endpointUrl", "message": "must be a valid URL" });
+    }
+    if (access.region !== undefined && !isNonEmptyString(access.region)) {
+        errors.push({ "path": "region", "message": "must be a non-empty string" });
+    }
+    if (access.auth !== undefined) {
+        if (!isObject(access.auth)) {
+            errors.push({ "path": "auth", "message": "must be an object" });
+        } else {
+            for (const field of ["accessKeyId", "secretAccessKey"]) {
+                if (!isNonEmptyString(access.auth[field])) {
+                    errors.push({ "path": "auth." + field, "message": "must be a non-empty string" });
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates the access information of the XNAT connector.
+ * @param {object} access - The access information.
+ * @returns {object[]} The errors with a path relative to the access information and a message.
+ */
+function validateXNATAccess(access) {
+    let errors = [];
+    if (!isNonEmptyString(access.baseUrl) || !isValidUrl(access.baseUrl)) {
+        errors.push({ "path": "baseUrl", "message": "must be a valid URL" });
+    }
+    for (const field of ["project", "subject", "session", "container", "resource", "file"]) {
+        if (!isNonEmptyString(access[field])) {
+            errors.push({ "path": field, "message": "must be a non-empty string" });
+        }
+    }
+    if (!XNAT_CONTAINER_TYPES.includes(access.containerType)) {
+        errors.push({ "path": "containerType", "message": "must be one of " + XNAT_CONTAINER_TYPES.join(", ") });
+    }
+    if (!isObject(access.auth)) {
+        errors.push({ "path": "auth", "message": "must be an object" });
+    } else {
+        for (const field of ["username", "password"]) {
+            if (!isNonEmptyString(access.auth[field])) {
+                errors.push({ "path": "auth." + field, "message": "must be a non-empty string" });
+            }
+        }
+    }
+    if (access.disableSSLVerification !== undefined && typeof access.disableSSLVerification != "boolean") {
+        errors.push({ "path": "disableSSLVerification", "message": "must be a boolean" });
+    }
+    return errors;
+}
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is an object and not an array or null.
+ */
+function isObject(value) {
+    return value !== null && typeof value == "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is a non-empty string.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a non-empty string.
+ */
+function isNonEmptyString(value) {
+    return typeof value == "string" && value.length > 0;
+}
+
+/**
+ * Checks whether a string is a valid URL.
+ * @param {string} value - The string to check.
+ * @returns {boolean} True if the string can be parsed as URL.
+ */
+function isValidUrl(value) {
+    try {
+        new URL(value);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a CWL type is optional, e.g. "File?" or ["null", "File"].
+ * @param {*} type - The CWL type.
+ * @returns {boolean} True if the type is optional.
+ */
+function isOptional(type) {
+    return (typeof type == "string" && type.endsWith("?")) || (Array.isArray(type) && type.includes("null"));
+}
+
+/**
+ * Returns a CWL type without the optional marker.
+ * @param {*} type - The CWL type.
+ * @returns {*} The type without "?" or "null". Unions of several other types are returned as array.
+ */
+function baseType(type) {
+    if (typeof type == "string" && type.endsWith("?")) {
+        return type.slice(0, -1);
+    }
+    if (Array.isArray(type)) {
+        const types = type.filter(item => item !== "null");
+        return types.length == 1 ? types[0] : types;
+    }
+    return type;
+}
+
+/**
+ * Returns the item type of a CWL array type, e.g. "File" for "File[]".
+ * @param {*} type - The CWL type without optional marker.
+ * @returns {*} The item type or undefined if the type is no array type.
+ */
+function itemType(type) {
+    if (typeof type == "string" && type.endsWith("[]")) {
+        return type.slice(0, -2);
+    }
+    if (isObject(type) && type.type == "array") {
+        return type.items;
+    }
+    return undefined;
+}
+
+/**
+ * Appends a key to a JSON path.
+ * @param {string} path - The JSON path.
+ * @param {string} key - The key to append.
+ * @returns {string} The extended JSON path.
+ */
+function joinPath(path, key) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? path + "." + key : path + "[" + JSON.stringify(key) + "]";
+}
+
+module.exports = {
+    REDValidator: REDValidator,
+    validateHTTPAccess: validateHTTPAccess,
+    validateFTPAccess: validateFTPAccess,
+    validateS3Access: validateS3Access,
+    validateXNATAccess: validateXNATAccess,
+    HTTP_ARCHIVE_FORMATS: HTTP_ARCHIVE_FORMATS
+}
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Stores the state of submitted experiments, so that they can be resumed after a restart of the process.
+ * Subclasses implement save(), remove() and list(). A record is a plain Json object with at least an experimentId,
+ * see CCExperiment.getState().
+ * @class
+ */
+class CCStateStore {
+
+    /**
+     * Creates a new instance of CCStateStore.
+     * @constructor
+     */
+    constructor() { }
+
+    /**
+     * Saves the record of an experiment, replacing an existing record with the same experimentId.
+     * @param {object} record - The record of the experiment.
+     * @returns {Promise} A promise that resolves when the record is saved.
+     */
+    async save(record) {
+        throw new Error('save() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Removes the record of an experiment. Does nothing if there is no record.
+     * @param {string} experimentId - The ID of the experiment.
+     * @returns {Promise} A promise that resolves when the record is removed.
+     */
+    async remove(experimentId) {
+        throw new Error('remove() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Lists the records of all stored experiments.
+     * @returns {Promise<object[]>} A promise that resolves with the records.
+     */
+    async list() {
+        throw new Error('list() is not implemented by ' + this.constructor.name + '.');
+    }
+
+    /**
+     * Returns the record of an experiment.
+     * @param {string} experimentId - The ID of the experiment.
+     * @returns {Promise<object|undefined>} A promise that resolves with the record or undefined if there is none.
+     */
+    async get(experimentId) {
+        const records = await this.list();
+        return records.find(record => record.experimentId == experimentId);
+    }
+
+}
+
+/**
+ * Stores the state of submitted experiments in a Json file.
+ * The file is replaced atomically on every change and is only readable by the current user,
+ * since the records contain the credentials for the cc-agency.
+ * @class
+ */
+class CCJSONFileStateStore extends CCStateStore {
+
+    /**
+     * Creates a new instance of CCJSONFileStateStore.
+     * @constructor
+     * @param {string} [file="~/.cc-api-state.json"] - The path of the Json file.
+     */
+    constructor(file = path.join(os.homedir(), ".cc-api-state.json")) {
+        super();
+        this.file = file;
+        this.queue = Promise.resolve();
+    }
+
+    async save(record) {
+        return this.update(records => {
+            records[record.experimentId] = record;
+        });
+    }
+
+    async remove(experimentId) {
+        return this.update(records => {
+            delete records[experimentId];
+        });
+    }
+
+    async list() {
+        await this.queue;
+        return Object.values(await this.read());
+    }
+
+    /**
+     * Reads the records from the Json file.
+     * @returns {Promise<object>} A promise that resolves with the records by experimentId.
+     *                            Resolves with an empty object if the file does not exist.
+     */
+    async read() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.file, "utf8");
+        } catch (err) {
+            if (err.code == "ENOENT") {
+                return {};
+            }
+            throw err;
+        }
+        try {
+            return JSON.parse(content).experiments || {};
+        } catch (err) {
+            throw new Error('Failed to parse the state file ' + this.file + ': ' + err.message);
+        }
+    }
+
+    /**
+     * Changes the records and writes them back to the Json file. Changes are applied one after another.
+     * @param {function} change - The function changing the records by experimentId.
+     * @returns {Promise} A promise that resolves when the file is written.
+     */
+    update(change) {
+        const result = this.queue.then(async () => {
+            let records = await this.read();
+            change(records);
+
+            const tmpFile = this.file + "." + process.pid + ".tmp";
+            await fs.promises.writeFile(tmpFile, JSON.stringify({ "experiments": records }, null, 4), { "mode": 0o600 });
+            await fs.promises.rename(tmpFile, this.file);
+        });
+        this.queue = result.catch(() => { });
+        return result;
+    }
+
+}
+
+module.exports = {
+    CCStateStore: CCStateStore,
+    CCJSONFileStateStore: CCJSONFileStateStore
+}
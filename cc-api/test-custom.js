@@ -36,22 +36,13 @@ experiment.addOutput(output_stderr);
 
 experiment.createRED();
 
-experiment.startExperiment().then(experimentId => {
-    let checkExperiment = setInterval(async function () {
-        try {
-            const status = await experiment.fetchCurrentStatus();
-            console.log(status);
-            if (status == "succeeded" || status == "failed" || status == "cancelled") {
-                clearInterval(checkExperiment);
-
-                const stdout = await experiment.getStdout();
-                const stderr = await experiment.getStderr();
-                console.log("stdout:\n" + stdout);
-                console.log("stderr:\n" + stderr);
-                console.log("debugInfo: " + experiment.debugInfo);
-            }
-        } catch (err) { }
-    }, 10000);
+experiment.startExperiment().then(() => {
+    return experiment.waitForCompletion();
+}).then(result => {
+    console.log("status: " + result.status);
+    console.log("stdout:\n" + result.stdout);
+    console.log("stderr:\n" + result.stderr);
+    console.log("debugInfo: " + result.debugInfo);
 }).catch(error => {
     console.error(error);
 });
\ No newline at end of file
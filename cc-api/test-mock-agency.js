@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CC = require('./cc-api.js');
+const { MockAgency } = require('./mock-agency.js');
+
+// Drives a CCExperiment through a MockAgency, without a cc-agency or network access.
+// Run with "node test-mock-agency.js", exits with 1 if a check fails.
+
+const agency_user = "agency_user";
+const agency_password = "agency_password";
+
+function createExperiment(agencyUrl, values) {
+    let experiment = new CC.CCExperiment(agencyUrl, agency_user, agency_password, "python3", "dprobst/curious_containers:python", 256);
+    experiment.addInput(new CC.CCInput("epochs", "int", 0));
+    experiment.sweep({ "epochs": values });
+    experiment.createRED();
+    return experiment;
+}
+
+const tests = {
+
+    async "submits the RED and follows the state transitions"(agency, agencyUrl) {
+        let experiment = createExperiment(agencyUrl, [10]);
+        const experimentId = await experiment.startExperiment();
+        assert.deepStrictEqual(agency.getRED(experimentId).batches, experiment.red.batches);
+        assert.strictEqual(await experiment.fetchCurrentStatus(), "registered");
+
+        agency.advanceAll(experimentId);
+        assert.strictEqual(await experiment.fetchCurrentStatus(), "scheduled");
+        agency.advanceAll(experimentId);
+        assert.strictEqual(await experiment.fetchCurrentStatus(), "processing");
+        agency.advanceAll(experimentId);
+        assert.strictEqual(await experiment.fetchCurrentStatus(), "succeeded");
+
+        const batch = await experiment.fetchBatch(experiment.batchId);
+        assert.deepStrictEqual(batch.history.map(historyElement => historyElement.state),
+            ["registered", "scheduled", "processing", "succeeded"]);
+    },
+
+    async "reports the debugInfo of a failed batch"(agency, agencyUrl) {
+        let experiment = createExperiment(agencyUrl, [10, 20]);
+        await experiment.startExperiment();
+        const batchIds = await experiment.getBatchIds();
+        agency.setScript(batchIds[1], ["scheduled", { "state": "failed", "debugInfo": "Out of memory.", "stderr": "Killed\n" }]);
+        agency.finish(batchIds[0]);
+        agency.finish(batchIds[1]);
+
+        const result = await experiment.waitForCompletion({ "pollInterval": 10 });
+        assert.strictEqual(result.status, "failed");
+        assert.strictEqual(result.debugInfo, "Out of memory.");
+        assert.deepStrictEqual(result.batches.map(batch => batch.state), ["succeeded", "failed"]);
+        assert.strictEqual(await experiment.getStderr(1), "Killed\n");
+    },
+
+    async "cancels all batches"(agency, agencyUrl) {
+        let experiment = createExperiment(agencyUrl, [10, 20]);
+        await experiment.startExperiment();
+        agency.advanceAll(experiment.experimentId);
+
+        assert.strictEqual(await experiment.cancelExperiment(), true);
+        assert.strictEqual(await experiment.fetchCurrentStatus(), "cancelled");
+        agency.advanceAll(experiment.experimentId);
+        assert.strictEqual(await experiment.fetchCurrentStatus(), "cancelled");
+    },
+
+    async "fetches, streams and saves the logs"(agency, agencyUrl) {
+        let experiment = createExperiment(agencyUrl, [10]);
+        await experiment.startExperiment();
+        const batchId = (await experiment.getBatchIds())[0];
+        await assert.rejects(experiment.getStdout(), CC.CCNotFoundError);
+
+        let followed = "";
+        const stream = experiment.streamStdout({ "follow": true, "pollInterval": 10 });
+        stream.on("data", chunk => followed += chunk);
+        const ended = new Promise((resolve, reject) => stream.on("end", resolve).on("error", reject));
+
+        agency.advance(batchId);
+        agency.setState(batchId, { "state": "processing", "stdout": "epoch 1\n" });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        agency.setState(batchId, { "state": "succeeded", "stdout": "epoch 1\nepoch 2\n", "stderr": "warning\n" });
+        await ended;
+        assert.strictEqual(followed, "epoch 1\nepoch 2\n");
+        assert.strictEqual(await experiment.getStdout(), "epoch 1\nepoch 2\n");
+
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cc-api-test-"));
+        try {
+            const files = await experiment.saveLogs(dir);
+            assert.strictEqual(fs.readFileSync(files.stdout, "utf8"), "epoch 1\nepoch 2\n");
+            assert.strictEqual(fs.readFileSync(files.stderr, "utf8"), "warning\n");
+        } finally {
+            await fs.promises.rm(dir, { "recursive": true, "force": true });
+        }
+    },
+
+    async "rejects wrong credentials"(agency, agencyUrl) {
+        let experiment = new CC.CCExperiment(agencyUrl, agency_user, "wrong", "python3", "dprobst/curious_containers:python", 256);
+        experiment.addInput(new CC.CCInput("epochs", "int", 0));
+        experiment.inputs[0].setValue(10);
+        experiment.createRED();
+        await assert.rejects(experiment.startExperiment(), CC.CCAuthError);
+    },
+
+};
+
+async function main() {
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        let agency = new MockAgency({ "username": agency_user, "password": agency_password });
+        const agencyUrl = await agency.start();
+        try {
+            await test(agency, agencyUrl);
+            console.log("ok - " + name);
+        } catch (err) {
+            failures++;
+            console.log("not ok - " + name);
+            console.error(err);
+        } finally {
+            await agency.stop();
+        }
+    }
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,236 @@
+const http = require("http");
+const https = require("https");
+const { CCAgencyError, CCAuthError, CCNotFoundError } = require("./errors.js");
+
+/**
+ * Keep-alive agents shared by all transports, one per protocol.
+ */
+const AGENTS = {
+    "http:": new http.Agent({ keepAlive: true }),
+    "https:": new https.Agent({ keepAlive: true }),
+};
+
+/**
+ * The default transport options.
+ */
+const DEFAULT_OPTIONS = {
+    "timeout": 30000,
+    "retries": 3,
+    "retryDelay": 500,
+    "maxRetryDelay": 10000,
+    "keepAlive": true,
+};
+
+/**
+ * Sends authenticated requests to the REST API of a cc-agency.
+ * Idempotent requests are retried with exponential backoff on network errors, timeouts and 5xx or 429 responses.
+ * Failed requests are rejected with a CCAuthError (401, 403), a CCNotFoundError (404) or a CCAgencyError.
+ * @class
+ */
+class CCTransport {
+
+    /**
+     * Creates a new instance of CCTransport.
+     * @constructor
+     * @param {string} baseUrl - The URL of the cc-agency.
+     * @param {string} username - The username for accessing the cc-agency.
+     * @param {string} password - The password for accessing the cc-agency.
+     * @param {object} [options] - The transport options.
+     * @param {number} [options.timeout=30000] - The time in milliseconds after which a request is aborted.
+     * @param {number} [options.retries=3] - The maximum number of retries of idempotent requests.
+     * @param {number} [options.retryDelay=500] - The delay in milliseconds before the first retry, doubled for every further retry.
+     * @param {number} [options.maxRetryDelay=10000] - The maximum delay in milliseconds between two retries.
+     * @param {boolean} [options.keepAlive=true] - Whether connections are kept open and reused.
+     */
+    constructor(baseUrl, username, password, options = {}) {
+        this.baseUrl = baseUrl;
+        this.username = username;
+        this.password = password;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    }
+
+    /**
+     * Sends a GET request. GET requests are retried.
+     * @param {string} path - The API path relative to the cc-agency URL.
+     * @param {object} [options] - The request options, see request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    get(path, options = {}) {
+        return this.request("GET", path, Object.assign({ "idempotent": true }, options));
+    }
+
+    /**
+     * Sends a POST request. POST requests are not retried.
+     * @param {string} path - The API path relative to the cc-agency URL.
+     * @param {*} body - The body of the request, sent as JSON.
+     * @param {object} [options] - The request options, see request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    post(path, body, options = {}) {
+        return this.request("POST", path, Object.assign({ "body": body }, options));
+    }
+
+    /**
+     * Sends a DELETE request. DELETE requests are retried.
+     * @param {string} path - The API path relative to the cc-agency URL.
+     * @param {object} [options] - The request options, see request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    delete(path, options = {}) {
+        return this.request("DELETE", path, Object.assign({ "idempotent": true }, options));
+    }
+
+    /**
+     * Sends a request and retries it if it is idempotent and failed temporarily.
+     * @param {string} method - The HTTP method for the request.
+     * @param {string} path - The API path relative to the cc-agency URL.
+     * @param {object} [options] - The request options.
+     * @param {*} [options.body] - The body of the request, sent as JSON.
+     * @param {boolean} [options.idempotent=false] - Whether the request may be retried.
+     * @param {string} [options.responseType="json"] - "json" to parse the response, "text" to return it as string,
+     *                                              "stream" to return the unread http.IncomingMessage.
+     * @param {object} [options.headers] - Additional request headers.
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    async request(method, path, options = {}) {
+        const retries = options.idempotent ? this.options.retries : 0;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(method, path, options);
+            } catch (err) {
+                if (attempt >= retries || !CCTransport.isRetryable(err)) {
+                    throw err;
+                }
+                const delay = Math.min(this.options.retryDelay * Math.pow(2, attempt), this.options.maxRetryDelay);
+                await new Promise(resolve => setTimeout(resolve, delay * (0.5 + Math.random() / 2)));
+            }
+        }
+    }
+
+    /**
+     * Checks whether a failed request may succeed when it is sent again.
+     * @param {Error} err - The error of the failed request.
+     * @returns {boolean} True for network errors, timeouts, 5xx and 429 responses.
+     */
+    static isRetryable(err) {
+        if (!(err instanceof CCAgencyError)) {
+            return false;
+        }
+        return err.statusCode === undefined || err.statusCode >= 500 || err.statusCode == 429;
+    }
+
+    /**
+     * Returns the options for http.request().
+     * @param {string} method - The HTTP method for the request.
+     * @param {string} path - The API path relative to the cc-agency URL.
+     * @param {object} headers - Additional request headers.
+     * @returns {object} The request options.
+     */
+    getRequestOptions(method, path, headers = {}) {
+        const url = new URL(this.baseUrl);
+        const basePath = url.pathname.endsWith("/") ? url.pathname : url.pathname + "/";
+        const auth = 'Basic ' + Buffer.from(this.username + ':' + this.password).toString('base64');
+        return {
+            "protocol": url.protocol,
+            "hostname": url.hostname,
+            "port": url.port || "8080",
+            "path": basePath + path,
+            "method": method,
+            "headers": Object.assign({
+                "Content-Type": "application/json",
+                "Authorization": auth,
+            }, headers),
+            "agent": this.options.keepAlive ? AGENTS[url.protocol] : undefined,
+            "timeout": this.options.timeout,
+        };
+    }
+
+    /**
+     * Sends a request once.
+     * @param {string} method - The HTTP method for the request.
+     * @param {string} path - The API path relative to the cc-agency URL.
+     * @param {object} options - The request options, see request().
+     * @returns {Promise<*>} A promise that resolves with the response.
+     */
+    send(method, path, options) {
+        const data = options.body !== undefined ? JSON.stringify(options.body) : undefined;
+        let headers = Object.assign({}, options.headers);
+        if (data !== undefined) {
+            headers["Content-Length"] = Buffer.byteLength(data);
+        }
+        const requestOptions = this.getRequestOptions(method, path, headers);
+        const req_prot = requestOptions.protocol === "https:" ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = req_prot.request(requestOptions, resp => {
+                if (options.responseType == "stream" && resp.statusCode < 400) {
+                    resolve(resp);
+                    return;
+                }
+                let buffer = "";
+                resp.setEncoding("utf8");
+                resp.on("data", chunk => {
+                    buffer += chunk;
+                });
+                resp.on("end", () => {
+                    if (resp.statusCode >= 400) {
+                        reject(CCTransport.createStatusError(method, path, resp.statusCode, buffer));
+                        return;
+                    }
+                    if (options.responseType == "text") {
+                        resolve(buffer);
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(buffer));
+                    } catch (err) {
+                        reject(new CCAgencyError("Failed to parse the response data: " + err.message, resp.statusCode, buffer));
+                    }
+                });
+                resp.on("error", err => {
+                    reject(new CCAgencyError("HTTP response error: " + err.message));
+                });
+            });
+            req.on("timeout", () => {
+                req.destroy(new Error("Request timed out after " + this.options.timeout + " ms"));
+            });
+            req.on("error", err => {
+                reject(new CCAgencyError("HTTP request error: " + err.message));
+            });
+            if (data !== undefined) {
+                req.write(data);
+            }
+            req.end();
+        });
+    }
+
+    /**
+     * Creates the error for a response with an error status code.
+     * @param {string} method - The HTTP method of the request.
+     * @param {string} path - The API path of the request.
+     * @param {number} statusCode - The status code of the response.
+     * @param {string} buffer - The body of the response.
+     * @returns {CCAgencyError} The typed error.
+     */
+    static createStatusError(method, path, statusCode, buffer) {
+        let body = buffer;
+        try {
+            body = JSON.parse(buffer);
+        } catch (err) { }
+
+        const message = method + " " + path + " failed with status " + statusCode
+            + (body && body.description ? ": " + body.description : "");
+        if (statusCode == 401 || statusCode == 403) {
+            return new CCAuthError(message, statusCode, body);
+        }
+        if (statusCode == 404) {
+            return new CCNotFoundError(message, statusCode, body);
+        }
+        return new CCAgencyError(message, statusCode, body);
+    }
+
+}
+
+module.exports = {
+    CCTransport: CCTransport
+}
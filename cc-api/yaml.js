@@ -0,0 +1,750 @@
+/**
+ * A self-contained YAML reader and writer for RED files.
+ * Supports the subset of YAML that is used by RED files: block mappings and sequences,
+ * flow collections on a single line, plain, quoted and block scalars as well as comments.
+ * Anchors, aliases, tags and multiple documents are not supported.
+ */
+
+/**
+ * Represents an error while parsing a YAML document.
+ * @class
+ */
+class YAMLParseError extends Error {
+
+    /**
+     * Creates a new instance of YAMLParseError.
+     * @constructor
+     * @param {string} message - The description of the error.
+     * @param {number} line - The line number (starting at 1) at which the error occurred.
+     */
+    constructor(message, line) {
+        super('Line ' + line + ': ' + message);
+        this.name = 'YAMLParseError';
+        this.line = line;
+    }
+}
+
+/**
+ * Parses a YAML document line by line.
+ * @class
+ */
+class YAMLParser {
+
+    /**
+     * Creates a new instance of YAMLParser.
+     * @constructor
+     * @param {string} text - The YAML document.
+     */
+    constructor(text) {
+        this.lines = text.replace(/\r\n?/g, '\n').split('\n');
+        this.pos = 0;
+    }
+
+    /**
+     * Parses the whole document.
+     * @returns {*} The parsed value.
+     * @throws {YAMLParseError} If the document is invalid or uses unsupported features.
+     */
+    parse() {
+        this.skipBlankLines();
+        if (this.pos < this.lines.length && /^%/.test(this.lines[this.pos])) {
+            throw this.error('Directives are not supported.');
+        }
+        if (this.pos < this.lines.length && /^---(\s|$)/.test(this.lines[this.pos])) {
+            const rest = this.lines[this.pos].slice(3).trim();
+            if (rest && !rest.startsWith('#')) {
+                throw this.error('Content after the document start marker is not supported.');
+            }
+            this.pos++;
+            this.skipBlankLines();
+        }
+        if (this.pos >= this.lines.length) {
+            return null;
+        }
+
+        const value = this.parseBlock(this.indentOf(this.pos));
+        this.skipBlankLines();
+        if (this.pos < this.lines.length) {
+            if (/^(---|\.\.\.)(\s|$)/.test(this.lines[this.pos])) {
+                this.pos++;
+                this.skipBlankLines();
+                if (this.pos >= this.lines.length) {
+                    return value;
+                }
+                throw this.error('Multiple documents are not supported.');
+            }
+            throw this.error('Unexpected content, check the indentation.');
+        }
+        return value;
+    }
+
+    /**
+     * Creates a parse error for the current line.
+     * @param {string} message - The description of the error.
+     * @param {number} [index] - The index of the line, defaults to the current line.
+     * @returns {YAMLParseError} The error.
+     */
+    error(message, index = this.pos) {
+        return new YAMLParseError(message, Math.min(index, this.lines.length - 1) + 1);
+    }
+
+    /**
+     * Skips empty lines and lines that only contain a comment.
+     */
+    skipBlankLines() {
+        while (this.pos < this.lines.length && /^\s*(#.*)?$/.test(this.lines[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Returns the indentation of a line.
+     * @param {number} index - The index of the line.
+     * @returns {number} The number of leading spaces.
+     * @throws {YAMLParseError} If the line is indented with tabs.
+     */
+    indentOf(index) {
+        const match = /^( *)(\t?)/.exec(this.lines[index]);
+        if (match[2]) {
+            throw this.error('Tabs are not allowed for indentation.', index);
+        }
+        return match[1].length;
+    }
+
+    /**
+     * Parses the block node starting at the current line.
+     * @param {number} indent - The indentation of the node.
+     * @returns {*} The parsed value.
+     */
+    parseBlock(indent) {
+        const text = this.lines[this.pos].slice(indent);
+        if (/^-(\s|$)/.test(text)) {
+            return this.parseSequence(indent);
+        }
+        if (this.findMappingColon(text) >= 0) {
+            return this.parseMapping(indent);
+        }
+        const line = this.pos;
+        this.pos++;
+        return this.parseInlineValue(text, indent, line);
+    }
+
+    /**
+     * Parses a block sequence.
+     * @param {number} indent - The indentation of the sequence.
+     * @returns {Array} The parsed sequence.
+     */
+    parseSequence(indent) {
+        let sequence = [];
+        while (this.pos < this.lines.length) {
+            this.skipBlankLines();
+            if (this.pos >= this.lines.length) {
+                break;
+            }
+            const lineIndent = this.indentOf(this.pos);
+            const text = this.lines[this.pos].slice(lineIndent);
+            if (lineIndent < indent) {
+                break;
+            }
+            if (lineIndent > indent) {
+                throw this.error('Bad indentation of a sequence entry.');
+            }
+            if (!/^-(\s|$)/.test(text)) {
+                break;
+            }
+
+            const rest = text.slice(1).replace(/^\s+/, '');
+            if (rest === '' || rest.startsWith('#')) {
+                this.pos++;
+                sequence.push(this.parseNestedBlock(indent, false));
+            } else if (/^[|>]/.test(rest)) {
+                const line = this.pos;
+                this.pos++;
+                sequence.push(this.parseBlockScalar(rest, indent, line));
+            } else {
+                // Parse the entry as if the dash was a part of the indentation.
+                const column = lineIndent + text.length - rest.length;
+                this.lines[this.pos] = ' '.repeat(column) + rest;
+                sequence.push(this.parseBlock(column));
+            }
+        }
+        return sequence;
+    }
+
+    /**
+     * Parses a block mapping.
+     * @param {number} indent - The indentation of the mapping.
+     * @returns {object} The parsed mapping.
+     */
+    parseMapping(indent) {
+        let mapping = {};
+        while (this.pos < this.lines.length) {
+            this.skipBlankLines();
+            if (this.pos >= this.lines.length) {
+                break;
+            }
+            const lineIndent = this.indentOf(this.pos);
+            const text = this.lines[this.pos].slice(lineIndent);
+            if (lineIndent < indent || (lineIndent == indent && /^-(\s|$)/.test(text))) {
+                break;
+            }
+            if (lineIndent > indent) {
+                throw this.error('Bad indentation of a mapping entry.');
+            }
+            if (/^(---|\.\.\.)(\s|$)/.test(text)) {
+                break;
+            }
+
+            const colon = this.findMappingColon(text);
+            if (colon < 0) {
+                throw this.error('Expected a mapping entry in the form "key: value".');
+            }
+            const key = this.parseKey(text.slice(0, colon).trim());
+            if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+                throw this.error('Duplicate mapping key "' + key + '".');
+            }
+
+            const rest = text.slice(colon + 1).trim();
+            const line = this.pos;
+            this.pos++;
+            if (rest === '' || rest.startsWith('#')) {
+                mapping[key] = this.parseNestedBlock(indent, true);
+            } else {
+                mapping[key] = this.parseInlineValue(rest, indent, line);
+            }
+        }
+        return mapping;
+    }
+
+    /**
+     * Parses the block node following a mapping key or sequence dash without inline value.
+     * @param {number} indent - The indentation of the parent node.
+     * @param {boolean} allowSequence - Whether a sequence may start at the indentation of the parent.
+     * @returns {*} The parsed value or null if the node is empty.
+     */
+    parseNestedBlock(indent, allowSequence) {
+        this.skipBlankLines();
+        if (this.pos >= this.lines.length) {
+            return null;
+        }
+        const nextIndent = this.indentOf(this.pos);
+        if (nextIndent > indent) {
+            return this.parseBlock(nextIndent);
+        }
+        if (allowSequence && nextIndent == indent && /^-(\s|$)/.test(this.lines[this.pos].slice(indent))) {
+            return this.parseSequence(indent);
+        }
+        return null;
+    }
+
+    /**
+     * Finds the colon that separates a mapping key from its value.
+     * @param {string} text - The text of the line without indentation.
+     * @returns {number} The index of the colon or -1 if the text is not a mapping entry.
+     */
+    findMappingColon(text) {
+        if (/^["']/.test(text)) {
+            const end = this.findQuoteEnd(text, 0);
+            if (end < 0) {
+                return -1;
+            }
+            const match = /^\s*:(\s|$)/.exec(text.slice(end + 1));
+            return match ? text.indexOf(':', end + 1) : -1;
+        }
+        if (/^[[{#|>]/.test(text)) {
+            return -1;
+        }
+        const match = /:(\s|$)/.exec(text);
+        if (!match) {
+            return -1;
+        }
+        const comment = /(^|\s)#/.exec(text);
+        if (comment && comment.index < match.index) {
+            return -1;
+        }
+        return match.index;
+    }
+
+    /**
+     * Finds the closing quote of a quoted scalar.
+     * @param {string} text - The text containing the scalar.
+     * @param {number} start - The index of the opening quote.
+     * @returns {number} The index of the closing quote or -1 if it is missing.
+     */
+    findQuoteEnd(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (quote == '"' && text[i] == '\\') {
+                i++;
+            } else if (text[i] == quote) {
+                if (quote == "'" && text[i + 1] == "'") {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parses a mapping key.
+     * @param {string} text - The key as written in the document.
+     * @returns {string} The key.
+     */
+    parseKey(text) {
+        if (/^["']/.test(text)) {
+            return this.parseQuoted(text);
+        }
+        if (/^[&*!?]/.test(text)) {
+            throw this.error('Anchors, aliases, tags and complex keys are not supported.');
+        }
+        return text;
+    }
+
+    /**
+     * Parses a value that starts on the same line as its key or sequence dash.
+     * @param {string} text - The value as written in the document.
+     * @param {number} indent - The indentation of the parent node.
+     * @param {number} line - The index of the line containing the value.
+     * @returns {*} The parsed value.
+     */
+    parseInlineValue(text, indent, line) {
+        if (/^[|>]/.test(text)) {
+            return this.parseBlockScalar(text, indent, line);
+        }
+        if (/^[&*!]/.test(text)) {
+            throw this.error('Anchors, aliases and tags are not supported.', line);
+        }
+        if (/^["']/.test(text)) {
+            const end = this.findQuoteEnd(text, 0);
+            if (end < 0) {
+                throw this.error('Missing closing quote. Multi-line quoted scalars are not supported.', line);
+            }
+            this.expectComment(text.slice(end + 1), line);
+            return this.parseQuoted(text.slice(0, end + 1), line);
+        }
+        if (/^[[{]/.test(text)) {
+            let flow = new FlowParser(this.stripComment(text), line + 1);
+            return flow.parse();
+        }
+        const value = this.stripComment(text);
+        this.checkContinuation(indent);
+        return resolvePlainScalar(value);
+    }
+
+    /**
+     * Ensures that a plain scalar does not continue on the following lines.
+     * @param {number} indent - The indentation of the parent node.
+     */
+    checkContinuation(indent) {
+        let index = this.pos;
+        while (index < this.lines.length && /^\s*$/.test(this.lines[index])) {
+            index++;
+        }
+        if (index < this.lines.length && this.indentOf(index) > indent
+            && !/^\s*#/.test(this.lines[index]) && this.findMappingColon(this.lines[index].trim()) < 0
+            && !/^\s*-(\s|$)/.test(this.lines[index])) {
+            throw this.error('Multi-line plain scalars are not supported, use a block scalar.', index);
+        }
+    }
+
+    /**
+     * Ensures that only a comment follows a value.
+     * @param {string} text - The text following the value.
+     * @param {number} line - The index of the line.
+     */
+    expectComment(text, line) {
+        if (text.trim() !== '' && !/^\s+#/.test(text)) {
+            throw this.error('Unexpected characters after the quoted scalar.', line);
+        }
+    }
+
+    /**
+     * Removes a trailing comment from a plain value.
+     * @param {string} text - The value with a possible comment.
+     * @returns {string} The value without the comment.
+     */
+    stripComment(text) {
+        const comment = /\s#/.exec(text);
+        return (comment ? text.slice(0, comment.index) : text).trim();
+    }
+
+    /**
+     * Parses a single or double quoted scalar.
+     * @param {string} text - The scalar including its quotes.
+     * @param {number} [line] - The index of the line containing the scalar.
+     * @returns {string} The unquoted string.
+     */
+    parseQuoted(text, line = this.pos) {
+        if (text[0] == "'") {
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        try {
+            return JSON.parse(text.replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1').replace(/\\\//g, '/')
+                .replace(/\t/g, '\\t'));
+        } catch (err) {
+            throw this.error('Invalid escape sequence in double quoted scalar.', line);
+        }
+    }
+
+    /**
+     * Parses a literal (|) or folded (>) block scalar.
+     * @param {string} header - The block scalar header, e.g. "|-".
+     * @param {number} indent - The indentation of the parent node.
+     * @param {number} line - The index of the line containing the header.
+     * @returns {string} The content of the block scalar.
+     */
+    parseBlockScalar(header, indent, line) {
+        const match = /^([|>])([+-]?)([1-9]?)([+-]?)\s*(#.*)?$/.exec(header);
+        if (!match || (match[2] && match[4])) {
+            throw this.error('Invalid block scalar header "' + header + '".', line);
+        }
+        const folded = match[1] == '>';
+        const chomping = match[2] || match[4];
+
+        let blockIndent = match[3] ? indent + parseInt(match[3]) : undefined;
+        let lines = [];
+        while (this.pos < this.lines.length) {
+            const text = this.lines[this.pos];
+            if (/^\s*$/.test(text)) {
+                lines.push('');
+                this.pos++;
+                continue;
+            }
+            const lineIndent = this.indentOf(this.pos);
+            if (blockIndent === undefined) {
+                if (lineIndent <= indent) {
+                    break;
+                }
+                blockIndent = lineIndent;
+            }
+            if (lineIndent < blockIndent) {
+                break;
+            }
+            lines.push(text.slice(blockIndent));
+            this.pos++;
+        }
+
+        // Trailing empty lines belong to the chomping, not to the content.
+        let trailing = 0;
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+            lines.pop();
+            trailing++;
+        }
+        let content = folded ? foldLines(lines) : lines.join('\n');
+        if (lines.length == 0) {
+            return chomping == '+' ? '\n'.repeat(trailing) : '';
+        }
+        if (chomping == '-') {
+            return content;
+        }
+        if (chomping == '+') {
+            return content + '\n' + '\n'.repeat(trailing);
+        }
+        return content + '\n';
+    }
+
+}
+
+/**
+ * Parses a flow collection ([...] or {...}) written on a single line.
+ * @class
+ */
+class FlowParser {
+
+    /**
+     * Creates a new instance of FlowParser.
+     * @constructor
+     * @param {string} text - The flow collection.
+     * @param {number} line - The line number of the flow collection.
+     */
+    constructor(text, line) {
+        this.text = text;
+        this.line = line;
+        this.pos = 0;
+    }
+
+    /**
+     * Parses the flow collection.
+     * @returns {Array|object} The parsed collection.
+     */
+    parse() {
+        const value = this.parseValue();
+        this.skipSpaces();
+        if (this.pos < this.text.length) {
+            throw new YAMLParseError('Unexpected characters after the flow collection. '
+                + 'Multi-line flow collections are not supported.', this.line);
+        }
+        return value;
+    }
+
+    /**
+     * Skips whitespace.
+     */
+    skipSpaces() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Parses any flow value.
+     * @returns {*} The parsed value.
+     */
+    parseValue() {
+        this.skipSpaces();
+        const char = this.text[this.pos];
+        if (char == '[') {
+            return this.parseCollection(']', () => this.parseValue());
+        }
+        if (char == '{') {
+            let mapping = {};
+            this.parseCollection('}', () => {
+                const key = this.parseScalar(true);
+                this.skipSpaces();
+                let value = null;
+                if (this.text[this.pos] == ':') {
+                    this.pos++;
+                    value = this.parseValue();
+                }
+                mapping[key] = value;
+            });
+            return mapping;
+        }
+        return this.parseScalar(false);
+    }
+
+    /**
+     * Parses the entries of a flow sequence or mapping.
+     * @param {string} end - The closing character.
+     * @param {function} parseEntry - Parses a single entry and returns it.
+     * @returns {Array} The parsed entries.
+     */
+    parseCollection(end, parseEntry) {
+        let entries = [];
+        this.pos++;
+        this.skipSpaces();
+        if (this.text[this.pos] == end) {
+            this.pos++;
+            return entries;
+        }
+        while (true) {
+            entries.push(parseEntry());
+            this.skipSpaces();
+            const char = this.text[this.pos++];
+            if (char == end) {
+                return entries;
+            }
+            if (char != ',') {
+                throw new YAMLParseError('Expected "," or "' + end + '" in flow collection.', this.line);
+            }
+        }
+    }
+
+    /**
+     * Parses a scalar inside a flow collection.
+     * @param {boolean} isKey - Whether the scalar is a mapping key.
+     * @returns {*} The parsed scalar.
+     */
+    parseScalar(isKey) {
+        this.skipSpaces();
+        const char = this.text[this.pos];
+        if (char == '"' || char == "'") {
+            const end = YAMLParser.prototype.findQuoteEnd(this.text, this.pos);
+            if (end < 0) {
+                throw new YAMLParseError('Missing closing quote.', this.line);
+            }
+            const quoted = this.text.slice(this.pos, end + 1);
+            this.pos = end + 1;
+            const parser = new YAMLParser('');
+            parser.error = message => new YAMLParseError(message, this.line);
+            return parser.parseQuoted(quoted);
+        }
+        const match = (isKey ? /^[^,:{}[\]]*/ : /^[^,{}[\]]*/).exec(this.text.slice(this.pos));
+        this.pos += match[0].length;
+        const value = match[0].trim();
+        if (/^[&*!]/.test(value)) {
+            throw new YAMLParseError('Anchors, aliases and tags are not supported.', this.line);
+        }
+        return isKey ? value : resolvePlainScalar(value);
+    }
+
+}
+
+/**
+ * Folds the lines of a folded block scalar.
+ * @param {string[]} lines - The lines without indentation.
+ * @returns {string} The folded content.
+ */
+function foldLines(lines) {
+    let content = lines[0];
+    let previous = lines[0];
+    let emptyLines = 0;
+    for (const line of lines.slice(1)) {
+        if (line === '') {
+            emptyLines++;
+            continue;
+        }
+        const keepsBreak = /^\s/.test(line) || /^\s/.test(previous);
+        if (emptyLines == 0) {
+            content += keepsBreak ? '\n' : ' ';
+        } else {
+            content += (keepsBreak ? '\n' : '') + '\n'.repeat(emptyLines);
+        }
+        content += line;
+        previous = line;
+        emptyLines = 0;
+    }
+    return content;
+}
+
+/**
+ * Resolves the type of a plain scalar.
+ * @param {string} text - The plain scalar.
+ * @returns {null|boolean|number|string} The resolved value.
+ */
+function resolvePlainScalar(text) {
+    if (/^(~|null|Null|NULL)?$/.test(text)) {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false;
+    }
+    if (/^[-+]?[0-9]+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(text)) {
+        return parseInt(text, 16);
+    }
+    if (/^0o[0-7]+$/.test(text)) {
+        return parseInt(text.slice(2), 8);
+    }
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) {
+        return parseFloat(text);
+    }
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) {
+        return text.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (/^\.(nan|NaN|NAN)$/.test(text)) {
+        return NaN;
+    }
+    return text;
+}
+
+/**
+ * Parses a YAML document.
+ * @param {string} text - The YAML document.
+ * @returns {*} The parsed value.
+ * @throws {YAMLParseError} If the document is invalid or uses unsupported features.
+ */
+function parse(text) {
+    let parser = new YAMLParser(text);
+    return parser.parse();
+}
+
+/**
+ * Serializes a value as YAML document.
+ * Values that JSON can not represent (undefined, functions) are skipped like in JSON.stringify().
+ * @param {*} value - The value to serialize.
+ * @returns {string} The YAML document.
+ */
+function stringify(value) {
+    value = JSON.parse(JSON.stringify(value === undefined ? null : value));
+    if (isBlockCollection(value)) {
+        return writeBlock(value, 0).join('\n') + '\n';
+    }
+    return writeScalar(value, 0) + '\n';
+}
+
+/**
+ * Checks whether a value is written as block collection.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for non-empty arrays and objects.
+ */
+function isBlockCollection(value) {
+    return value !== null && typeof value == 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Writes a non-empty array or object as block collection.
+ * @param {Array|object} value - The collection to write.
+ * @param {number} indent - The indentation of the collection.
+ * @returns {string[]} The lines of the collection.
+ */
+function writeBlock(value, indent) {
+    const pad = ' '.repeat(indent);
+    let lines = [];
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            if (isBlockCollection(item)) {
+                const inner = writeBlock(item, indent + 2);
+                lines.push(pad + '- ' + inner[0].slice(indent + 2), ...inner.slice(1));
+            } else {
+                lines.push(pad + '- ' + writeScalar(item, indent + 2));
+            }
+        }
+        return lines;
+    }
+    for (const [key, item] of Object.entries(value)) {
+        const writtenKey = isPlainSafe(key) ? key : JSON.stringify(key);
+        if (isBlockCollection(item)) {
+            lines.push(pad + writtenKey + ':');
+            lines.push(...writeBlock(item, indent + 2));
+        } else {
+            lines.push(pad + writtenKey + ': ' + writeScalar(item, indent + 2));
+        }
+    }
+    return lines;
+}
+
+/**
+ * Writes a scalar or an empty collection.
+ * @param {*} value - The value to write.
+ * @param {number} indent - The indentation of block scalar content.
+ * @returns {string} The written value.
+ */
+function writeScalar(value, indent) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return '[]';
+    }
+    if (typeof value == 'object') {
+        return '{}';
+    }
+    if (typeof value != 'string') {
+        return String(value);
+    }
+    if (isPlainSafe(value)) {
+        return value;
+    }
+    if (/\n/.test(value) && /^[^\s]/.test(value) && !/[\r\t]|\s\n|\n\n$/.test(value) && !/\s$/.test(value.replace(/\n$/, ''))) {
+        const pad = ' '.repeat(indent);
+        const header = value.endsWith('\n') ? '|' : '|-';
+        const lines = value.replace(/\n$/, '').split('\n').map(line => line === '' ? '' : pad + line);
+        return header + '\n' + lines.join('\n');
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Checks whether a string can be written as plain scalar without changing its meaning.
+ * @param {string} value - The string to check.
+ * @returns {boolean} True if the string can be written without quotes.
+ */
+function isPlainSafe(value) {
+    return /^[A-Za-z0-9_./~(][A-Za-z0-9 _./~:@+()=,-]*$/.test(value)
+        && !/: |:$| $/.test(value)
+        && typeof resolvePlainScalar(value) == 'string';
+}
+
+module.exports = {
+    YAMLParseError: YAMLParseError,
+    parse: parse,
+    stringify: stringify
+}